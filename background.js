@@ -3,40 +3,87 @@
 // Production-Ready Service Worker (Modular)
 // ============================================
 
-import { IDLE_THRESHOLD, IS_DEV, HEALTH_PING_INTERVAL } from "./config.js";
+import { IS_DEV, HEALTH_PING_INTERVAL } from "./config.js";
 import logger from "./logger.js";
-import { debounce, loadCustomSettings, refreshBadge } from "./utils.js";
+import {
+  debounce,
+  loadCustomSettings,
+  refreshBadge,
+  getTimingSettings,
+} from "./utils.js";
 import * as sessionTracker from "./sessionTracker.js";
 import * as syncManager from "./syncManager.js";
-import { getEntries } from "./bufferManager.js";
-import { API_URL } from "./config.js";
-import { isOnline } from "./utils.js";
+import { fetchRemoteConfig } from "./remoteConfig.js";
+import { getEntries, onBufferThreshold } from "./bufferManager.js";
+import * as deadLetterQueue from "./deadLetterQueue.js";
+import * as encryption from "./encryption.js";
+import * as urlRules from "./urlRules.js";
+import * as highlights from "./highlights.js";
+import { API_URL, API_CONFIG } from "./config.js";
+import { isOnline, getApiUrl, normalizeApiUrl } from "./utils.js";
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
-// Set up idle detection
-chrome.idle.setDetectionInterval(IDLE_THRESHOLD);
-
-// Load custom settings on startup
-loadCustomSettings();
+// Load settings, then set up idle detection and sync alarms from them.
+const settingsApplied = applySettings();
+
+// Server policy is pulled when Chrome starts, on install/update and with
+// the health ping - the worker wakes every minute or so, and in between
+// the stored copy is used. Re-applied if it changed.
+chrome.runtime.onStartup.addListener(() =>
+  settingsApplied.then(refreshRemoteConfig),
+);
+chrome.runtime.onInstalled.addListener(() =>
+  settingsApplied.then(refreshRemoteConfig),
+);
+
+// Pick up the session a suspended worker was tracking. Handlers wait for
+// this before reading or changing the session: the alarm that woke the
+// worker must not act on the still-empty state.
+const sessionRecovery = sessionTracker.recoverSession().catch((e) => {
+  logger.error("Session recovery failed", { error: e.message });
+});
 
 // Refresh badge on startup
 refreshBadge();
 
-// Set up sync alarms
-syncManager.setupAlarms();
+// Sync early when the buffer grows too big or too old
+onBufferThreshold(() => syncManager.syncLogs("buffer"));
 
 // Set up health ping alarm
 chrome.alarms.create("healthPing", { periodInMinutes: HEALTH_PING_INTERVAL });
 
-logger.info("Background service worker initialized", {
-  version: chrome.runtime.getManifest().version,
-  apiUrl: API_URL,
-  isDev: IS_DEV,
+getApiUrl().then((apiUrl) => {
+  logger.info("Background service worker initialized", {
+    version: chrome.runtime.getManifest().version,
+    apiUrl,
+    isDev: IS_DEV,
+  });
 });
 
+/**
+ * Load custom settings and server policy, then apply timing settings
+ */
+async function applySettings() {
+  await Promise.all([loadCustomSettings(), urlRules.loadUrlRules()]);
+
+  const { idleThreshold } = getTimingSettings();
+  chrome.idle.setDetectionInterval(idleThreshold);
+
+  syncManager.setupAlarms();
+}
+
+/**
+ * Fetch server policy and re-apply settings when it changed
+ */
+async function refreshRemoteConfig() {
+  if (await fetchRemoteConfig()) {
+    await applySettings();
+  }
+}
+
 // ============================================
 // EVENT LISTENERS - TABS
 // ============================================
@@ -60,7 +107,10 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 });
 
 // Tab removed (closed)
-chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  sessionTracker.forgetNavigation(tabId);
+  await sessionRecovery;
+
   const currentSession = sessionTracker.getCurrentSession();
   if (tabId === currentSession.tabId) {
     // Pass null to signal that the active session has ended
@@ -68,12 +118,35 @@ chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   }
 });
 
+// ============================================
+// EVENT LISTENERS - NAVIGATION
+// ============================================
+
+// How each page was reached - taken by the session that starts on it.
+// These fire before tabs.onUpdated, so the (debounced) tab change sees them.
+chrome.webNavigation.onCommitted.addListener(sessionTracker.recordNavigation);
+
+// In-page navigations (SPA routes, hash routes) don't commit a new document
+chrome.webNavigation.onHistoryStateUpdated.addListener(
+  sessionTracker.recordNavigation,
+);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(
+  sessionTracker.recordNavigation,
+);
+
+// A link or script opened a new tab
+chrome.webNavigation.onCreatedNavigationTarget.addListener(
+  sessionTracker.recordNewTab,
+);
+
 // ============================================
 // EVENT LISTENERS - WINDOWS
 // ============================================
 
 // Window focus changed
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  await sessionRecovery;
+
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
     // User left Chrome - save pending log immediately (no debounce)
     await sessionTracker.endSession();
@@ -89,6 +162,45 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
   }
 });
 
+// ============================================
+// EVENT LISTENERS - HIGHLIGHTS
+// ============================================
+
+// Context menu items persist across restarts - register on install/update
+chrome.runtime.onInstalled.addListener(() => {
+  highlights.setupContextMenu();
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === highlights.CONTEXT_MENU_ID) {
+    sessionRecovery
+      .then(() => highlights.saveSelection(tab, info.selectionText))
+      .catch((e) => {
+        logger.error("Failed to save selection", { error: e.message });
+      });
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === highlights.COMMAND_NAME) {
+    sessionRecovery
+      .then(() => highlights.saveSelection(tab))
+      .catch((e) => {
+        logger.error("Failed to save selection", { error: e.message });
+      });
+  }
+});
+
+// ============================================
+// EVENT LISTENERS - NETWORK
+// ============================================
+
+// Connectivity restored - flush the buffer without waiting for the alarm
+self.addEventListener("online", () => {
+  logger.info("Back online - syncing");
+  syncManager.syncLogs("online");
+});
+
 // ============================================
 // EVENT LISTENERS - IDLE
 // ============================================
@@ -96,8 +208,16 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
 // Idle state changed
 chrome.idle.onStateChanged.addListener(async (state) => {
   logger.debug("Idle state changed", { state });
+  await sessionRecovery;
 
   if (state === "idle" || state === "locked") {
+    // "idle" fires idleThreshold seconds after the last input, so the user
+    // actually left back then; "locked" fires as soon as the screen locks
+    const idleSince =
+      state === "idle"
+        ? Date.now() - getTimingSettings().idleThreshold * 1000
+        : Date.now();
+
     // Check if the current tab is playing audio (e.g. YouTube)
     const currentSession = sessionTracker.getCurrentSession();
     let isAudible = false;
@@ -115,15 +235,18 @@ chrome.idle.onStateChanged.addListener(async (state) => {
 
     if (isAudible) {
       logger.debug("User idle but media playing - keeping session alive");
+      await sessionTracker.markIdle(idleSince);
       return;
     }
 
-    await sessionTracker.endSession();
+    // Don't count the idle minutes before the event as activity
+    await sessionTracker.endSession(idleSince);
   } else if (state === "active") {
     // If we're already tracking a valid session, don't reset
     const currentSession = sessionTracker.getCurrentSession();
     if (currentSession.url && currentSession.tabId) {
       logger.debug("User active again - continuing session");
+      await sessionTracker.markActive();
       return;
     }
 
@@ -139,12 +262,17 @@ chrome.idle.onStateChanged.addListener(async (state) => {
 // ============================================
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await sessionRecovery;
+
   if (alarm.name === "sessionChunk") {
     await syncManager.handleSessionChunkAlarm();
   } else if (alarm.name === "syncData") {
     await syncManager.syncLogs();
+  } else if (syncManager.isRetryAlarm(alarm.name)) {
+    await syncManager.handleRetryAlarm();
   } else if (alarm.name === "healthPing") {
     await syncManager.sendHealthPing();
+    await refreshRemoteConfig();
   }
 });
 
@@ -154,10 +282,10 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "forceSync") {
-    syncManager
-      .forceSync()
-      .then(() => {
-        sendResponse({ success: true });
+    sessionRecovery
+      .then(() => syncManager.forceSync())
+      .then(({ authRequired }) => {
+        sendResponse({ success: true, authRequired });
       })
       .catch((e) => {
         sendResponse({ success: false, error: e.message });
@@ -166,13 +294,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.action === "getStatus") {
-    chrome.storage.local.get(["logs", "apiKey"]).then((data) => {
-      const syncStatus = syncManager.getSyncStatus();
+    Promise.all([
+      chrome.storage.local.get(["logs", "apiKey", "authRequired"]),
+      syncManager.getSyncStatus(),
+    ]).then(([data, syncStatus]) => {
       sendResponse({
         hasApiKey: !!data.apiKey,
+        authRequired: !!data.authRequired,
         logCount: data.logs?.length || 0,
         isOnline: isOnline(),
         syncRetryCount: syncStatus.syncRetryCount,
+        nextRetryAt: syncStatus.nextRetryAt,
+        lastSyncError: syncStatus.lastError,
+        destinations: syncStatus.destinations,
       });
     });
     return true;
@@ -183,8 +317,108 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === "getApiConfig") {
+    getApiUrl().then((apiUrl) => {
+      sendResponse({ apiUrl, defaultUrl: API_URL, profiles: API_CONFIG });
+    });
+    return true;
+  }
+
+  if (message.action === "setApiUrl") {
+    saveApiUrl(message.apiUrl).then(sendResponse);
+    return true;
+  }
+
+  if (message.action === "getEncryptionStatus") {
+    encryption.getEncryptionStatus().then(sendResponse);
+    return true;
+  }
+
+  if (message.action === "enableEncryption") {
+    encryption
+      .enableEncryption(message.passphrase)
+      .then(({ keyId }) => sendResponse({ success: true, keyId }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (message.action === "disableEncryption") {
+    encryption
+      .disableEncryption()
+      .then(() => sendResponse({ success: true }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (message.action === "updateDeadLetter") {
+    deadLetterQueue
+      .updateDeadLetter(message.id, message.entry)
+      .then((found) => sendResponse({ success: found }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (message.action === "retryDeadLetters") {
+    deadLetterQueue
+      .retryDeadLetters(message.ids)
+      .then(async (count) => {
+        await refreshBadge();
+        sendResponse({ success: true, count });
+      })
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (message.action === "discardDeadLetters") {
+    deadLetterQueue
+      .discardDeadLetters(message.ids)
+      .then((remaining) => sendResponse({ success: true, remaining }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (message.action === "engagement") {
+    sessionTracker.addEngagementReport(
+      sender.tab?.id,
+      message.url,
+      message.engagement,
+    );
+    return;
+  }
+
+  if (message.action === "getCurrentSession") {
+    sessionRecovery.then(() =>
+      sendResponse(sessionTracker.getCurrentSession()),
+    );
+    return true;
+  }
+
+  if (message.action === "annotateSession") {
+    sessionTracker
+      .annotateSession(message.sessionId, {
+        note: message.note,
+        tags: message.tags,
+      })
+      .then((saved) => sendResponse({ success: !!saved, ...saved }))
+      .catch((e) => sendResponse({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (message.action === "getUrlRules") {
+    sendResponse(urlRules.getUrlRules());
+    return;
+  }
+
+  if (message.action === "setUrlRules") {
+    urlRules
+      .saveUrlRules(message.rules)
+      .then(sendResponse)
+      .catch((e) => sendResponse({ success: false, errors: [e.message] }));
+    return true;
+  }
+
   if (message.action === "refreshSettings") {
-    loadCustomSettings().then(() => {
+    Promise.all([loadCustomSettings(), urlRules.loadUrlRules()]).then(() => {
       logger.info("Custom settings refreshed");
       sendResponse({ success: true });
     });
@@ -192,11 +426,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// ============================================
+// EVENT LISTENERS - STORAGE
+// ============================================
+
+// New API key or endpoint saved - resume sync if it was paused for auth
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "local" || !(changes.apiKey || changes.apiUrl)) return;
+  if (!(await syncManager.isAuthRequired())) return;
+
+  const data = await chrome.storage.local.get("apiKey");
+  const result = await checkApiConnection(data.apiKey);
+  if (result.connected) {
+    await syncManager.resumeAfterAuth();
+  } else {
+    logger.warn("New API key not accepted", { status: result.status });
+  }
+});
+
 /**
  * Check if API connection is valid
  * @param {string} apiKey - API key to test
+ * @param {string} [apiUrl] - Endpoint to test (defaults to the saved one)
  */
-async function checkApiConnection(apiKey) {
+async function checkApiConnection(apiKey, apiUrl) {
   if (!isOnline()) {
     return { connected: false, error: "Offline" };
   }
@@ -206,7 +459,8 @@ async function checkApiConnection(apiKey) {
   }
 
   try {
-    const response = await fetch(`${API_URL}/api/status`, {
+    const baseUrl = apiUrl || (await getApiUrl());
+    const response = await fetch(`${baseUrl}/api/status`, {
       method: "GET",
       headers: {
         Authorization: `Bearer ${apiKey}`,
@@ -221,3 +475,56 @@ async function checkApiConnection(apiKey) {
     return { connected: false, error: e.message };
   }
 }
+
+/**
+ * Validate, test and save the API endpoint chosen in Settings
+ * The endpoint is only saved if its status route answers
+ * @param {string|null} apiUrl - New endpoint, or null to restore the default
+ */
+async function saveApiUrl(apiUrl) {
+  if (!apiUrl) {
+    await chrome.storage.local.remove("apiUrl");
+    logger.info("API endpoint reset to default", { apiUrl: API_URL });
+    return { success: true, apiUrl: API_URL };
+  }
+
+  const normalized = normalizeApiUrl(apiUrl);
+  if (!normalized) {
+    return { success: false, error: "Invalid URL (use http:// or https://)" };
+  }
+
+  if (!isOnline()) {
+    return { success: false, error: "Offline - cannot test endpoint" };
+  }
+
+  const data = await chrome.storage.local.get("apiKey");
+
+  try {
+    const response = await fetch(`${normalized}/api/status`, {
+      method: "GET",
+      headers: data.apiKey ? { Authorization: `Bearer ${data.apiKey}` } : {},
+    });
+
+    // 401/403 still proves the API is there - only the key is wrong
+    const isApi =
+      response.ok || response.status === 401 || response.status === 403;
+    if (!isApi) {
+      return {
+        success: false,
+        error: `No Echo API at this URL (HTTP ${response.status})`,
+      };
+    }
+
+    await chrome.storage.local.set({ apiUrl: normalized });
+    logger.info("API endpoint changed", { apiUrl: normalized });
+
+    return {
+      success: true,
+      apiUrl: normalized,
+      connected: response.ok,
+      status: response.status,
+    };
+  } catch (e) {
+    return { success: false, error: "Unreachable: " + e.message };
+  }
+}
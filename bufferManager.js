@@ -4,6 +4,41 @@
 
 import logger from "./logger.js";
 import { checkAndPurgeStorage } from "./utils.js";
+import { SYNC_BUFFER_THRESHOLD, SYNC_MAX_BUFFER_AGE } from "./config.js";
+
+// Called when the buffer grows past its size or age threshold
+let thresholdListener = null;
+
+/**
+ * Register a callback for when the buffer passes its sync threshold
+ * @param {Function} listener - Called with { size, ageMinutes }
+ */
+export function onBufferThreshold(listener) {
+  thresholdListener = listener;
+}
+
+/**
+ * Notify the threshold listener if the buffer is too big or too old
+ * @param {Array} logs - Current buffer
+ */
+function checkThreshold(logs) {
+  if (!thresholdListener || logs.length === 0) return;
+
+  const oldest = logs[0];
+  const oldestTime = oldest.endTime || Date.parse(oldest.timestamp) || 0;
+  const ageMinutes = (Date.now() - oldestTime) / 60000;
+
+  if (
+    logs.length >= SYNC_BUFFER_THRESHOLD ||
+    ageMinutes >= SYNC_MAX_BUFFER_AGE
+  ) {
+    logger.debug("Buffer threshold reached", {
+      size: logs.length,
+      ageMinutes: Math.round(ageMinutes),
+    });
+    thresholdListener({ size: logs.length, ageMinutes });
+  }
+}
 
 /**
  * Get all log entries from the buffer
@@ -24,10 +59,13 @@ export async function addEntry(log) {
     // Check storage quota before adding
     await checkAndPurgeStorage();
 
-    const logs = await getEntries();
-    logs.push(log);
+    // Monotonic sequence number - destinations track delivery by it
+    const data = await chrome.storage.local.get(["logs", "bufferSeq"]);
+    const logs = data.logs || [];
+    const seq = (data.bufferSeq || 0) + 1;
+    logs.push({ ...log, seq });
 
-    await chrome.storage.local.set({ logs });
+    await chrome.storage.local.set({ logs, bufferSeq: seq });
 
     logger.debug("Added entry to buffer", {
       domain: log.domain,
@@ -35,6 +73,8 @@ export async function addEntry(log) {
       bufferSize: logs.length,
     });
 
+    checkThreshold(logs);
+
     return logs.length;
   } catch (e) {
     logger.error("Failed to add entry to buffer", { error: e.message });
@@ -69,6 +109,60 @@ export async function removeEntries(indices) {
   }
 }
 
+/**
+ * Remove every entry up to and including a sequence number
+ * @param {number} seq - Highest sequence number to remove
+ * @returns {Promise<number>} Remaining buffer size
+ */
+export async function removeEntriesUpTo(seq) {
+  try {
+    const logs = await getEntries();
+    const remainingLogs = logs.filter((log) => log.seq > seq);
+
+    await chrome.storage.local.set({ logs: remainingLogs });
+
+    logger.debug("Removed delivered entries from buffer", {
+      removed: logs.length - remainingLogs.length,
+      remaining: remainingLogs.length,
+    });
+
+    return remainingLogs.length;
+  } catch (e) {
+    logger.error("Failed to remove entries from buffer", { error: e.message });
+    throw e;
+  }
+}
+
+/**
+ * One-time migration: number the entries buffered before sequence numbers
+ * existed
+ * Those are always the oldest entries, so they take 1..n and the rest move
+ * up by n - buffer order and sequence order stay the same
+ * @returns {Promise<number>} Entries numbered (what the others moved up by)
+ */
+export async function migrateSequenceNumbers() {
+  const data = await chrome.storage.local.get(["logs", "bufferSeq"]);
+  const logs = data.logs || [];
+  const unnumbered = logs.filter((log) => log.seq === undefined).length;
+  if (unnumbered === 0) return 0;
+
+  let next = 0;
+  const numbered = logs.map((log) => ({
+    ...log,
+    seq: log.seq === undefined ? ++next : log.seq + unnumbered,
+  }));
+
+  await chrome.storage.local.set({
+    logs: numbered,
+    bufferSeq: (data.bufferSeq || 0) + unnumbered,
+  });
+
+  logger.info("Numbered entries buffered before sequence numbers", {
+    count: unnumbered,
+  });
+  return unnumbered;
+}
+
 /**
  * Clear the entire buffer
  * @returns {Promise<void>}
@@ -7,11 +7,13 @@
 const ENV = "development"; // 'development' or 'production'
 
 // --- API Configuration ---
-const API_CONFIG = {
+// Environment profiles offered in the Settings tab
+export const API_CONFIG = {
   development: "http://localhost:3000",
   production: "https://v0-personal-productivity-tracker-kd.vercel.app", // TODO: Replace with actual prod URL
 };
 
+// Default endpoint - can be overridden at runtime (see getApiUrl in utils.js)
 export const API_URL = API_CONFIG[ENV];
 
 // --- Timing Constants ---
@@ -20,6 +22,35 @@ export const MIN_DURATION = 5; // Ignore visits shorter than this (seconds)
 export const SYNC_INTERVAL = 1; // Minutes between API syncs
 export const DEBOUNCE_MS = 500; // Debounce rapid tab switches
 export const HEALTH_PING_INTERVAL = 1440; // 24 hours in minutes
+export const SLEEP_GAP_TOLERANCE = 2; // Minutes the chunk alarm may run late before we assume the machine slept
+
+// --- Sync Behavior ---
+export const SYNC_BATCH_SIZE = 50; // Max log entries per upload request
+export const MAX_SERVER_RETRY_DELAY = 60; // Cap on server-requested sync delays (minutes)
+export const COMPRESS_UPLOADS = true; // Gzip request bodies (falls back on HTTP 415)
+export const COMPRESSION_MIN_BYTES = 1024; // Send smaller bodies uncompressed
+export const SYNC_BUFFER_THRESHOLD = 25; // Sync early once the buffer holds this many entries
+export const SYNC_MAX_BUFFER_AGE = 10; // Sync early once the oldest entry is this old (minutes)
+
+// --- Content Capture (opt-in per domain in Settings) ---
+export const CONTENT_CAPTURE_MIN_ACTIVE = 30; // Active seconds a session needs before its page text is captured
+export const CONTENT_CAPTURE_MIN_SCROLL = 25; // ...and scroll depth reached (%), when engagement is measured
+export const CONTENT_CAPTURE_MAX_CHARS = 20000; // Cap on captured text per log entry
+export const CONTENT_CAPTURE_MAX_BLOCKS = 400; // Cap on headings/paragraphs read from the page
+
+// --- Highlights ---
+export const HIGHLIGHT_MAX_CHARS = 2000; // Cap on a saved selection
+export const HIGHLIGHT_CONTEXT_CHARS = 200; // Text kept on each side of a selection
+export const HIGHLIGHT_HISTORY_SIZE = 50; // Highlights kept locally for the popup list
+
+// --- Session Notes ---
+export const SESSION_NOTE_MAX_CHARS = 1000; // Cap on the note attached to a session
+export const SESSION_MAX_TAGS = 10; // Tags kept per session
+export const SESSION_TAG_MAX_CHARS = 32; // Cap on a single tag
+
+// --- Encryption ---
+export const ENCRYPTION_KDF_ITERATIONS = 310000; // PBKDF2-SHA256 rounds for the passphrase key
+export const MIN_PASSPHRASE_LENGTH = 8;
 
 // --- Storage Limits ---
 export const STORAGE_QUOTA_MB = 4; // Trigger purge at this limit
@@ -57,6 +88,55 @@ export const SENSITIVE_PARAMS = [
   "pin",
 ];
 
+// --- URL Canonicalization (see urlRules.js) ---
+// Query params that never make a page a different page ("*" is a wildcard)
+export const IGNORED_URL_PARAMS = [
+  "utm_*",
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "mc_cid",
+  "mc_eid",
+  "igshid",
+  "_ga",
+  "_gl",
+  "ref",
+  "ref_src",
+  "page",
+];
+
+// Per-site rules, first match wins. Users can replace these in Settings.
+export const DEFAULT_URL_RULES = [
+  { match: "youtube.com/watch", params: ["v"], fragment: false },
+  { match: "youtube.com/results", params: ["search_query"], fragment: false },
+  { match: "google.*/search", params: ["q", "tbm"], fragment: false },
+  { match: "github.com", params: ["q", "tab"], fragment: false },
+  {
+    match: "stackoverflow.com/questions",
+    params: [],
+    fragment: false,
+    pathRewrites: [["^(/questions/\\d+)/.*$", "$1"]],
+  },
+  { match: "wikipedia.org", params: [], fragment: false },
+  { match: "reddit.com", params: [], fragment: false },
+  { match: "news.ycombinator.com", params: ["id"], fragment: false },
+  { match: "medium.com", params: [], fragment: false },
+  {
+    match: "amazon.*",
+    params: [],
+    fragment: false,
+    pathRewrites: [["/ref=[^/]*$", ""]],
+  },
+  {
+    match: "docs.google.com",
+    params: [],
+    fragment: false,
+    pathRewrites: [["/(edit|view|preview)$", ""]],
+  },
+];
+
 // --- System URL Prefixes (Never track these) ---
 export const SYSTEM_URL_PREFIXES = [
   "chrome://",
@@ -0,0 +1,133 @@
+// ============================================
+// DEAD LETTER QUEUE - Rejected Log Storage
+// ============================================
+// Logs the server permanently rejected are kept here instead of being
+// deleted, so they can be inspected, edited, retried or discarded.
+
+import logger from "./logger.js";
+import { addEntry } from "./bufferManager.js";
+import { generateEntryId } from "./utils.js";
+
+const STORAGE_KEY = "deadLetters";
+
+/**
+ * Get all dead letters
+ * @returns {Promise<Array>} Array of { id, entry, status, responseBody, destinationId, destinationName, rejectedAt }
+ */
+export async function getDeadLetters() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  return data[STORAGE_KEY] || [];
+}
+
+/**
+ * Save the dead letter list
+ * @param {Array} letters - Dead letters to store
+ */
+async function setDeadLetters(letters) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: letters });
+}
+
+/**
+ * Move rejected log entries into the dead letter store
+ * @param {Array<{entry: Object, status: number, responseBody: string, destinationId: string, destinationName: string}>} rejections
+ * @returns {Promise<number>} New dead letter count
+ */
+export async function addDeadLetters(rejections) {
+  try {
+    const letters = await getDeadLetters();
+    const rejectedAt = new Date().toISOString();
+
+    rejections.forEach(
+      ({ entry, status, responseBody, destinationId, destinationName }) => {
+        // The same entry can be rejected by more than one destination
+        const { seq, destinations, ...log } = entry;
+        letters.push({
+          id: generateEntryId(),
+          entry: log,
+          status,
+          responseBody: responseBody || "",
+          destinationId,
+          destinationName,
+          rejectedAt,
+        });
+      },
+    );
+
+    await setDeadLetters(letters);
+
+    logger.warn("Moved rejected logs to dead letter queue", {
+      added: rejections.length,
+      total: letters.length,
+    });
+
+    return letters.length;
+  } catch (e) {
+    logger.error("Failed to add dead letters", { error: e.message });
+    throw e;
+  }
+}
+
+/**
+ * Replace the log entry of a dead letter (e.g. after a manual fix)
+ * @param {string} id - Dead letter ID
+ * @param {Object} entry - Edited log entry
+ * @returns {Promise<boolean>} Whether the dead letter was found
+ */
+export async function updateDeadLetter(id, entry) {
+  const letters = await getDeadLetters();
+  const letter = letters.find((l) => l.id === id);
+
+  if (!letter) return false;
+
+  // Entries without an ID of their own take the letter's, so each one
+  // stays distinct (and idempotent) once it is retried
+  letter.entry = { ...entry, id: letter.entry.id || letter.id };
+  await setDeadLetters(letters);
+
+  logger.debug("Dead letter edited", { id });
+  return true;
+}
+
+/**
+ * Move dead letters back into the buffer for another upload attempt
+ * Each entry is only resent to the destination that rejected it
+ * @param {string[]} ids - Dead letter IDs
+ * @returns {Promise<number>} Number of entries moved back
+ */
+export async function retryDeadLetters(ids) {
+  const letters = await getDeadLetters();
+  const idsToRetry = new Set(ids);
+  const toRetry = letters.filter((l) => idsToRetry.has(l.id));
+
+  for (const letter of toRetry) {
+    await addEntry(
+      letter.destinationId
+        ? { ...letter.entry, destinations: [letter.destinationId] }
+        : letter.entry,
+    );
+  }
+
+  await setDeadLetters(letters.filter((l) => !idsToRetry.has(l.id)));
+
+  logger.info("Dead letters moved back to buffer", { count: toRetry.length });
+  return toRetry.length;
+}
+
+/**
+ * Permanently delete dead letters
+ * @param {string[]} ids - Dead letter IDs
+ * @returns {Promise<number>} Remaining dead letter count
+ */
+export async function discardDeadLetters(ids) {
+  const letters = await getDeadLetters();
+  const idsToDiscard = new Set(ids);
+  const remaining = letters.filter((l) => !idsToDiscard.has(l.id));
+
+  await setDeadLetters(remaining);
+
+  logger.info("Dead letters discarded", {
+    discarded: letters.length - remaining.length,
+    remaining: remaining.length,
+  });
+  return remaining.length;
+}
@@ -0,0 +1,92 @@
+// ============================================
+// DESTINATIONS - Where Synced Logs Are Delivered
+// ============================================
+// The primary destination is the Echo API configured by the API key and
+// endpoint settings. Users can add more: other Echo-compatible endpoints
+// (e.g. self-hosted) or generic webhooks with a JSON template. In
+// local-only mode nothing is uploaded and logs stay in the buffer.
+
+import { getApiUrl } from "./utils.js";
+
+export const PRIMARY_DESTINATION_ID = "primary";
+
+const STORAGE_KEY = "destinationSettings";
+
+const DEFAULT_SETTINGS = {
+  localOnly: false,
+  primaryEnabled: true,
+  destinations: [], // { id, type: "echo"|"webhook", name, url, apiKey, template, enabled }
+};
+
+// Used when a webhook destination has no template of its own
+export const DEFAULT_WEBHOOK_TEMPLATE = JSON.stringify({
+  text: "{{title}} ({{duration}}s) {{url}}",
+  url: "{{url}}",
+  title: "{{title}}",
+  duration: "{{duration}}",
+  timestamp: "{{timestamp}}",
+});
+
+/**
+ * Get destination settings from storage
+ * @returns {Promise<{localOnly: boolean, primaryEnabled: boolean, destinations: Object[]}>}
+ */
+export async function getDestinationSettings() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  return { ...DEFAULT_SETTINGS, ...data[STORAGE_KEY] };
+}
+
+/**
+ * Resolve every destination that should receive logs right now
+ * @returns {Promise<Object[]>} Empty in local-only mode
+ */
+export async function getActiveDestinations() {
+  const settings = await getDestinationSettings();
+  if (settings.localOnly) return [];
+
+  const active = [];
+
+  if (settings.primaryEnabled) {
+    const data = await chrome.storage.local.get("apiKey");
+    active.push({
+      id: PRIMARY_DESTINATION_ID,
+      type: "echo",
+      name: "Echo API",
+      url: await getApiUrl(),
+      apiKey: data.apiKey || "",
+    });
+  }
+
+  settings.destinations
+    .filter((destination) => destination.enabled !== false)
+    .forEach((destination) => active.push(destination));
+
+  return active;
+}
+
+/**
+ * Fill a webhook JSON template with values from a log entry
+ * A string that is exactly "{{field}}" becomes the raw value (numbers stay
+ * numbers); placeholders inside longer strings are replaced as text.
+ * @param {string} template - JSON template
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {*} Rendered JSON value
+ */
+export function renderTemplate(template, values) {
+  const fill = (node) => {
+    if (typeof node === "string") {
+      const exact = node.match(/^\{\{(\w+)\}\}$/);
+      if (exact) return values[exact[1]] ?? null;
+      return node.replace(/\{\{(\w+)\}\}/g, (_, key) => values[key] ?? "");
+    }
+    if (Array.isArray(node)) return node.map(fill);
+    if (node && typeof node === "object") {
+      return Object.fromEntries(
+        Object.entries(node).map(([key, value]) => [key, fill(value)]),
+      );
+    }
+    return node;
+  };
+
+  return fill(JSON.parse(template || DEFAULT_WEBHOOK_TEMPLATE));
+}
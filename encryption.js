@@ -0,0 +1,300 @@
+// ============================================
+// ENCRYPTION - End-to-End Payload Encryption
+// ============================================
+// Opt-in AES-GCM encryption of url/domain/title/description (plus the
+// optional page metadata that identifies a page, captured page text,
+// highlighted passages, session notes and tags) before upload. The
+// navigation block and transitions stay readable: they only hold
+// transition kinds and session IDs.
+// The key is derived from a user passphrase with PBKDF2 and kept as a
+// non-extractable CryptoKey in IndexedDB - neither the passphrase nor the
+// raw key material is ever stored.
+
+import logger from "./logger.js";
+import { ENCRYPTION_KDF_ITERATIONS, MIN_PASSPHRASE_LENGTH } from "./config.js";
+
+const STORAGE_KEY = "encryption";
+const ENCRYPTED_FIELDS = [
+  "url",
+  "domain", // Only in webhook template values - the API payload has none
+  "title",
+  "description",
+  "canonicalUrl",
+  "ogImage",
+  "siteName",
+  "author",
+  "keywords",
+  "headline",
+  "content",
+  "text",
+  "contextBefore",
+  "contextAfter",
+  "note",
+];
+const ENCRYPTED_LIST_FIELDS = ["tags"]; // Each item is encrypted separately
+const FIELD_PREFIX = "enc:v1:";
+
+// IndexedDB is the only extension storage that can hold a CryptoKey
+const KEY_DB_NAME = "echoEncryption";
+const KEY_STORE_NAME = "keys";
+
+// Imported key, cached for the life of the service worker
+let cachedKey = null;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary);
+}
+
+/**
+ * Derive a non-extractable AES-GCM key from a passphrase
+ * The raw bits only live long enough to fingerprint and import them.
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<{key: CryptoKey, keyId: string}>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+
+  const raw = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    baseKey,
+    256,
+  );
+
+  // Short fingerprint so the server can tell which key a payload used
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", raw));
+  const keyId = Array.from(digest.slice(0, 4))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+  const key = await crypto.subtle.importKey("raw", raw, "AES-GCM", false, [
+    "encrypt",
+  ]);
+  return { key, keyId };
+}
+
+/**
+ * Run one request against the key store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {function(IDBObjectStore): IDBRequest} operation - Request to make
+ * @returns {Promise<*>} Request result once the transaction completes
+ */
+async function withKeyStore(mode, operation) {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(KEY_STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(KEY_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(KEY_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Replace the stored key
+ * @param {string} keyId - Key fingerprint
+ * @param {CryptoKey} key - Non-extractable key
+ */
+async function storeKey(keyId, key) {
+  await withKeyStore("readwrite", (store) => {
+    store.clear();
+    return store.put(key, keyId);
+  });
+}
+
+/**
+ * Move a key kept by older versions as a JWK in chrome.storage.local into
+ * the key store, and delete the exported copy
+ * @param {Object} settings - Stored encryption settings with a `key`
+ * @returns {Promise<Object>} Settings without the key
+ */
+async function migrateExportedKey(settings) {
+  const { key: jwk, ...rest } = settings;
+  const key = await crypto.subtle.importKey("jwk", jwk, "AES-GCM", false, [
+    "encrypt",
+  ]);
+
+  await storeKey(settings.keyId, key);
+  await chrome.storage.local.set({ [STORAGE_KEY]: rest });
+  logger.info("Moved encryption key out of extension storage", {
+    keyId: settings.keyId,
+  });
+  return rest;
+}
+
+/**
+ * Load the stored key, reading it once per worker lifetime
+ * @returns {Promise<{key: CryptoKey, settings: Object}|null>} Null when disabled
+ */
+async function loadKey() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  let settings = data[STORAGE_KEY];
+
+  if (!settings?.enabled) {
+    cachedKey = null;
+    return null;
+  }
+
+  if (settings.key) settings = await migrateExportedKey(settings);
+
+  if (!cachedKey || cachedKey.keyId !== settings.keyId) {
+    const key = await withKeyStore("readonly", (store) =>
+      store.get(settings.keyId),
+    );
+    if (!key) {
+      throw new Error("Encryption key missing - re-enter the passphrase");
+    }
+    cachedKey = { key, keyId: settings.keyId };
+  }
+
+  return { key: cachedKey.key, settings };
+}
+
+/**
+ * Encrypt one string as "enc:v1:<iv base64>:<ciphertext base64>"
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} value - Plaintext
+ * @returns {Promise<string>}
+ */
+async function encryptField(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(value),
+  );
+
+  return (
+    FIELD_PREFIX + toBase64(iv) + ":" + toBase64(new Uint8Array(ciphertext))
+  );
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Turn on encryption with a key derived from the given passphrase
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<{keyId: string}>}
+ */
+export async function enableEncryption(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`,
+    );
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const { key, keyId } = await deriveKey(
+    passphrase,
+    salt,
+    ENCRYPTION_KDF_ITERATIONS,
+  );
+
+  await storeKey(keyId, key);
+  await chrome.storage.local.set({
+    [STORAGE_KEY]: {
+      enabled: true,
+      keyId,
+      salt: toBase64(salt),
+      iterations: ENCRYPTION_KDF_ITERATIONS,
+    },
+  });
+  cachedKey = null;
+
+  logger.info("Encryption enabled", { keyId });
+  return { keyId };
+}
+
+/**
+ * Turn off encryption and delete the stored key
+ */
+export async function disableEncryption() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+  await withKeyStore("readwrite", (store) => store.clear());
+  cachedKey = null;
+  logger.info("Encryption disabled");
+}
+
+/**
+ * Get encryption status (never exposes the key)
+ * @returns {Promise<{enabled: boolean, keyId: string|null}>}
+ */
+export async function getEncryptionStatus() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  const settings = data[STORAGE_KEY];
+  return { enabled: !!settings?.enabled, keyId: settings?.keyId || null };
+}
+
+/**
+ * Encrypt the content fields of an upload payload when encryption is on
+ * Routing metadata (source, timestamp, duration) is left readable.
+ * Encrypted fields look like "enc:v1:<iv base64>:<ciphertext base64>";
+ * list fields (tags) keep their shape with each item encrypted.
+ * @param {Object} payload - Upload payload
+ * @returns {Promise<Object>} Payload with encrypted fields, or unchanged
+ */
+export async function encryptPayload(payload) {
+  const loaded = await loadKey();
+  if (!loaded) return payload;
+
+  const { key, settings } = loaded;
+  const encrypted = { ...payload };
+  const fields = ENCRYPTED_FIELDS.filter(
+    (field) => typeof payload[field] === "string",
+  );
+  const listFields = ENCRYPTED_LIST_FIELDS.filter((field) =>
+    Array.isArray(payload[field]),
+  );
+
+  for (const field of fields) {
+    encrypted[field] = await encryptField(key, payload[field]);
+  }
+  for (const field of listFields) {
+    encrypted[field] = await Promise.all(
+      payload[field].map((item) => encryptField(key, String(item))),
+    );
+  }
+
+  // Everything needed to re-derive the key from the passphrase, except the passphrase
+  encrypted.encryption = {
+    version: 1,
+    algorithm: "AES-GCM",
+    kdf: "PBKDF2-SHA256",
+    iterations: settings.iterations,
+    salt: settings.salt,
+    keyId: settings.keyId,
+    fields: [...fields, ...listFields],
+  };
+
+  return encrypted;
+}
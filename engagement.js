@@ -0,0 +1,130 @@
+// ============================================
+// ENGAGEMENT - Content Script (Injected into pages)
+// ============================================
+// Measures how the user engages with the page while it is tracked:
+// deepest scroll, active interaction time, visible time and media playback.
+// Injected by sessionTracker.js when engagement tracking is on; the
+// service worker collects (and resets) the counters when a session or
+// chunk ends. Injecting again - a new session in the same document -
+// just resets the counters.
+
+(() => {
+  if (window.__echoEngagement) {
+    window.__echoEngagement.collect();
+    return;
+  }
+
+  // Each input event counts as this much activity (overlaps merge)
+  const ACTIVITY_WINDOW_MS = 5000;
+
+  let maxScrollDepth = 0;
+  let interactionMs = 0;
+  let activeStart = 0;
+  let activeEnd = 0;
+  let visibleMs = 0;
+  let visibleSince = document.visibilityState === "visible" ? Date.now() : null;
+  let mediaPlayed = false;
+
+  const isMediaPlaying = () =>
+    Array.from(document.querySelectorAll("video, audio")).some(
+      (media) => !media.paused && !media.ended,
+    );
+
+  const updateScrollDepth = () => {
+    const scrollable = document.documentElement.scrollHeight;
+    if (!scrollable) return;
+    const seen = window.scrollY + window.innerHeight;
+    maxScrollDepth = Math.max(
+      maxScrollDepth,
+      Math.min(Math.round((seen / scrollable) * 100), 100),
+    );
+  };
+
+  const onInteraction = () => {
+    const now = Date.now();
+    if (now > activeEnd) {
+      interactionMs += activeEnd - activeStart;
+      activeStart = now;
+    }
+    activeEnd = now + ACTIVITY_WINDOW_MS;
+  };
+
+  /**
+   * Snapshot the counters since the last collect, then reset them
+   * @returns {{scrollDepth: number, interactionTime: number, visibleTime: number, mediaPlayed: boolean}}
+   */
+  const collect = () => {
+    const now = Date.now();
+    const snapshot = {
+      scrollDepth: maxScrollDepth,
+      interactionTime: Math.round(
+        (interactionMs + Math.max(Math.min(activeEnd, now) - activeStart, 0)) /
+          1000,
+      ),
+      visibleTime: Math.round(
+        (visibleMs + (visibleSince !== null ? now - visibleSince : 0)) / 1000,
+      ),
+      mediaPlayed: mediaPlayed || isMediaPlaying(),
+    };
+
+    // An activity window still open carries over into the next period
+    interactionMs = 0;
+    activeStart = Math.min(now, activeEnd);
+    visibleMs = 0;
+    visibleSince = visibleSince !== null ? now : null;
+    mediaPlayed = isMediaPlaying();
+    maxScrollDepth = 0;
+    updateScrollDepth();
+
+    return snapshot;
+  };
+
+  window.__echoEngagement = { collect };
+  updateScrollDepth();
+
+  const options = { capture: true, passive: true };
+  ["keydown", "mousedown", "mousemove", "wheel", "touchstart"].forEach((type) =>
+    window.addEventListener(type, onInteraction, options),
+  );
+  window.addEventListener(
+    "scroll",
+    () => {
+      updateScrollDepth();
+      onInteraction();
+    },
+    options,
+  );
+
+  document.addEventListener(
+    "visibilitychange",
+    () => {
+      const now = Date.now();
+      if (document.visibilityState === "visible") {
+        visibleSince ??= now;
+      } else if (visibleSince !== null) {
+        visibleMs += now - visibleSince;
+        visibleSince = null;
+      }
+    },
+    true,
+  );
+
+  // Media events don't bubble, so listen in the capture phase
+  document.addEventListener("play", () => (mediaPlayed = true), true);
+
+  // The document is going away (navigation or tab close) - hand over what
+  // it measured, since the worker can't collect from it afterwards
+  window.addEventListener("pagehide", () => {
+    try {
+      chrome.runtime
+        .sendMessage({
+          action: "engagement",
+          url: location.href,
+          engagement: collect(),
+        })
+        .catch(() => {});
+    } catch (e) {
+      // Extension was reloaded; nothing to report to
+    }
+  });
+})();
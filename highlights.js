@@ -0,0 +1,174 @@
+// ============================================
+// HIGHLIGHTS - Saving Selected Text to Echo
+// ============================================
+// "Save selection to Echo" (context menu or keyboard command) captures the
+// selected passage with some surrounding context. The highlight is
+// buffered and synced like a log entry (type "highlight"), linked to the
+// session tracking that page, and kept in a short local history that the
+// popup lists (synced entries leave the buffer).
+
+import logger from "./logger.js";
+import { addEntry } from "./bufferManager.js";
+import { getCurrentSession } from "./sessionTracker.js";
+import { isSameVisit } from "./urlRules.js";
+import {
+  isSystemUrl,
+  isBlacklistedDomain,
+  redactSensitiveUrl,
+  redactUrlsInText,
+  extractDomain,
+  sanitizeText,
+  refreshBadge,
+  generateEntryId,
+} from "./utils.js";
+import {
+  HIGHLIGHT_MAX_CHARS,
+  HIGHLIGHT_CONTEXT_CHARS,
+  HIGHLIGHT_HISTORY_SIZE,
+} from "./config.js";
+
+export const CONTEXT_MENU_ID = "saveSelection";
+export const COMMAND_NAME = "save-selection";
+
+const HISTORY_KEY = "highlights";
+
+// ============================================
+// SELECTION SCRAPER (Injected into pages)
+// ============================================
+
+/**
+ * This function runs INSIDE the webpage context
+ * Returns the selected text plus the text around it in its block
+ * @param {number} contextChars - How much context to take on each side
+ * @returns {{text: string, before: string, after: string}|null} Null if nothing is selected
+ */
+function getSelectionContext(contextChars) {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || !selection.rangeCount) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+  const blockOf = (node) => {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return (
+      el?.closest(
+        "p, li, blockquote, pre, td, h1, h2, h3, h4, h5, h6, section, article",
+      ) || document.body
+    );
+  };
+
+  const before = document.createRange();
+  before.selectNodeContents(blockOf(range.startContainer));
+  before.setEnd(range.startContainer, range.startOffset);
+
+  const after = document.createRange();
+  after.selectNodeContents(blockOf(range.endContainer));
+  after.setStart(range.endContainer, range.endOffset);
+
+  return {
+    text: selection.toString(),
+    before: before.toString().slice(-contextChars),
+    after: after.toString().slice(0, contextChars),
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Register the context menu item (menus persist, so once per install/update)
+ */
+export async function setupContextMenu() {
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ID,
+    title: "Save selection to Echo",
+    contexts: ["selection"],
+  });
+}
+
+/**
+ * Capture the selection in a tab and save it as a highlight
+ * @param {chrome.tabs.Tab} tab - Tab the selection is in
+ * @param {string} [selectionText] - Selected text reported by the context
+ *   menu; used as-is (without context) when the page can't be scripted
+ * @returns {Promise<Object|null>} Highlight entry, or null if nothing was saved
+ */
+export async function saveSelection(tab, selectionText = "") {
+  if (!tab?.id || !tab.url || isSystemUrl(tab.url)) return null;
+
+  const domain = extractDomain(tab.url);
+  if (isBlacklistedDomain(domain)) {
+    logger.debug("Not saving highlight on blocked domain", { domain });
+    return null;
+  }
+
+  let selection = null;
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: getSelectionContext,
+      args: [HIGHLIGHT_CONTEXT_CHARS],
+    });
+    selection = results?.[0]?.result || null;
+  } catch (err) {
+    // PDFs and restricted pages can't be scripted
+    logger.debug("Selection scrape failed", { error: err.message });
+  }
+
+  if (!selection && selectionText) {
+    selection = { text: selectionText, before: "", after: "" };
+  }
+
+  const text = redactUrlsInText(
+    sanitizeText(selection?.text, HIGHLIGHT_MAX_CHARS),
+  );
+  if (!text) {
+    logger.debug("Nothing selected - no highlight saved");
+    return null;
+  }
+
+  // Link to the session tracking this page, if any
+  const session = getCurrentSession();
+  const isTracked =
+    session.tabId === tab.id && isSameVisit(tab.url, session.url);
+
+  const highlight = {
+    id: generateEntryId(),
+    type: "highlight",
+    sessionId: isTracked ? session.sessionId : null,
+    url: redactSensitiveUrl(tab.url),
+    domain,
+    title: sanitizeText(tab.title, 200),
+    text,
+    contextBefore: redactUrlsInText(sanitizeText(selection.before, 500)),
+    contextAfter: redactUrlsInText(sanitizeText(selection.after, 500)),
+    timestamp: new Date().toISOString(),
+  };
+
+  await addEntry(highlight);
+  await addToHistory(highlight);
+  await refreshBadge();
+
+  logger.info("Saved highlight", {
+    domain,
+    length: text.length,
+    linked: isTracked,
+  });
+
+  return highlight;
+}
+
+/**
+ * Keep a highlight in the local history shown by the popup
+ * @param {Object} highlight - Highlight entry
+ */
+async function addToHistory(highlight) {
+  const data = await chrome.storage.local.get(HISTORY_KEY);
+  const history = [...(data[HISTORY_KEY] || []), highlight];
+  await chrome.storage.local.set({
+    [HISTORY_KEY]: history.slice(-HIGHLIGHT_HISTORY_SIZE),
+  });
+}
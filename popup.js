@@ -7,11 +7,14 @@ const elements = {
   // Header
   statusDot: document.getElementById("statusDot"),
   statusText: document.getElementById("statusText"),
+  reauthBtn: document.getElementById("reauthBtn"),
   version: document.getElementById("version"),
 
   // Tab Navigation
   tabBtns: document.querySelectorAll(".tab-btn"),
   activityTab: document.getElementById("activity-tab"),
+  highlightsTab: document.getElementById("highlights-tab"),
+  rejectedTab: document.getElementById("rejected-tab"),
   settingsTab: document.getElementById("settings-tab"),
 
   // Activity Tab
@@ -20,20 +23,72 @@ const elements = {
   saveBtn: document.getElementById("saveBtn"),
   bufferCount: document.getElementById("bufferCount"),
   networkStatus: document.getElementById("networkStatus"),
+  nowTimer: document.getElementById("nowTimer"),
+  nowIdle: document.getElementById("nowIdle"),
+  nowBody: document.getElementById("nowBody"),
+  nowTitle: document.getElementById("nowTitle"),
+  nowDomain: document.getElementById("nowDomain"),
+  nowNote: document.getElementById("nowNote"),
+  nowTagsList: document.getElementById("nowTagsList"),
+  nowTagInput: document.getElementById("nowTagInput"),
   logsCount: document.getElementById("logsCount"),
   logContainer: document.getElementById("logContainer"),
   syncBtn: document.getElementById("syncBtn"),
   syncBtnText: document.getElementById("syncBtnText"),
   clearBtn: document.getElementById("clearBtn"),
 
+  // Highlights Tab
+  highlightsCount: document.getElementById("highlightsCount"),
+  highlightContainer: document.getElementById("highlightContainer"),
+  clearHighlightsBtn: document.getElementById("clearHighlightsBtn"),
+
+  // Rejected Tab
+  deadLettersCount: document.getElementById("deadLettersCount"),
+  deadLetterContainer: document.getElementById("deadLetterContainer"),
+  retryAllBtn: document.getElementById("retryAllBtn"),
+  discardAllBtn: document.getElementById("discardAllBtn"),
+
   // Settings Tab
+  apiProfileSelect: document.getElementById("apiProfileSelect"),
+  apiUrlInput: document.getElementById("apiUrlInput"),
+  saveApiUrlBtn: document.getElementById("saveApiUrlBtn"),
+  encryptionStatus: document.getElementById("encryptionStatus"),
+  encryptionSetup: document.getElementById("encryptionSetup"),
+  passphraseInput: document.getElementById("passphraseInput"),
+  passphraseConfirm: document.getElementById("passphraseConfirm"),
+  enableEncryptionBtn: document.getElementById("enableEncryptionBtn"),
+  disableEncryptionBtn: document.getElementById("disableEncryptionBtn"),
+  localOnlyToggle: document.getElementById("localOnlyToggle"),
+  primaryEnabledToggle: document.getElementById("primaryEnabledToggle"),
+  destinationList: document.getElementById("destinationList"),
+  destinationType: document.getElementById("destinationType"),
+  destinationName: document.getElementById("destinationName"),
+  destinationUrl: document.getElementById("destinationUrl"),
+  destinationApiKey: document.getElementById("destinationApiKey"),
+  destinationTemplate: document.getElementById("destinationTemplate"),
+  addDestinationBtn: document.getElementById("addDestinationBtn"),
   blockedDomainsList: document.getElementById("blockedDomainsList"),
   newBlockedDomain: document.getElementById("newBlockedDomain"),
   addBlockedDomainBtn: document.getElementById("addBlockedDomainBtn"),
+  contentCaptureDomainsList: document.getElementById(
+    "contentCaptureDomainsList",
+  ),
+  newContentCaptureDomain: document.getElementById("newContentCaptureDomain"),
+  addContentCaptureDomainBtn: document.getElementById(
+    "addContentCaptureDomainBtn",
+  ),
   sensitiveParamsList: document.getElementById("sensitiveParamsList"),
   newSensitiveParam: document.getElementById("newSensitiveParam"),
   addSensitiveParamBtn: document.getElementById("addSensitiveParamBtn"),
+  urlRulesStatus: document.getElementById("urlRulesStatus"),
+  urlRulesInput: document.getElementById("urlRulesInput"),
+  saveUrlRulesBtn: document.getElementById("saveUrlRulesBtn"),
+  resetUrlRulesBtn: document.getElementById("resetUrlRulesBtn"),
+  engagementToggle: document.getElementById("engagementToggle"),
   resetSettingsBtn: document.getElementById("resetSettingsBtn"),
+  policySection: document.getElementById("policySection"),
+  policyDetails: document.getElementById("policyDetails"),
+  policyUpdated: document.getElementById("policyUpdated"),
 
   // Toast
   toast: document.getElementById("toast"),
@@ -42,6 +97,8 @@ const elements = {
 // --- State ---
 let isPasswordVisible = false;
 let isSyncing = false;
+let currentSession = null;
+let noteSaveTimeout;
 
 // ============================================
 // INITIALIZATION
@@ -51,9 +108,19 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Load saved API key
   await loadApiKey();
 
+  // Show the current session, with a live timer
+  await loadCurrentSession();
+  setInterval(updateNowTimer, 1000);
+
   // Render logs
   await renderLogs();
 
+  // Render highlights
+  await renderHighlights();
+
+  // Render rejected logs
+  await renderDeadLetters();
+
   // Check connection status
   await checkConnectionStatus();
 
@@ -63,6 +130,23 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Load custom settings
   await loadCustomSettings();
 
+  // Load API endpoint
+  await loadApiEndpoint();
+
+  // Load encryption status
+  await loadEncryptionStatus();
+
+  // Load sync destinations
+  await loadDestinations();
+
+  // Load URL rules
+  await loadUrlRules();
+
+  // Load engagement setting
+  const { engagementTracking } =
+    await chrome.storage.local.get("engagementTracking");
+  elements.engagementToggle.checked = !!engagementTracking;
+
   // Set version from manifest
   const manifest = chrome.runtime.getManifest();
   elements.version.textContent = `v${manifest.version}`;
@@ -114,16 +198,157 @@ elements.apiKeyInput.addEventListener("keypress", (e) => {
   }
 });
 
+// Re-authenticate - jump to the API key input
+elements.reauthBtn.addEventListener("click", () => {
+  document.querySelector('.tab-btn[data-tab="activity"]').click();
+  elements.apiKeyInput.focus();
+  elements.apiKeyInput.select();
+});
+
+// Note on the current session - saved as you type
+elements.nowNote.addEventListener("input", () => {
+  clearTimeout(noteSaveTimeout);
+  noteSaveTimeout = setTimeout(saveNote, 400);
+});
+
+// The popup closes as soon as it loses focus - save what is still pending
+elements.nowNote.addEventListener("blur", flushNote);
+window.addEventListener("pagehide", flushNote);
+
+// Tags on the current session
+elements.nowTagInput.addEventListener("keypress", (e) => {
+  const tag = elements.nowTagInput.value.trim();
+  if (e.key !== "Enter" || !tag || !currentSession) return;
+  elements.nowTagInput.value = "";
+  annotateSession({ tags: [...currentSession.tags, tag] });
+});
+
+elements.nowTagsList.addEventListener("click", (e) => {
+  const tag = e.target.closest(".tag-remove")?.dataset.tag;
+  if (!tag || !currentSession) return;
+  annotateSession({ tags: currentSession.tags.filter((t) => t !== tag) });
+});
+
 // Force Sync
 elements.syncBtn.addEventListener("click", forceSync);
 
 // Clear Logs
 elements.clearBtn.addEventListener("click", clearLogs);
 
+// ============================================
+// EVENT LISTENERS - HIGHLIGHTS TAB
+// ============================================
+
+// Clear the saved list
+elements.clearHighlightsBtn.addEventListener("click", clearHighlights);
+
+// Remove one (delegated)
+elements.highlightContainer.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-action='remove']");
+  if (btn) removeHighlight(btn.dataset.id);
+});
+
+// ============================================
+// EVENT LISTENERS - REJECTED TAB
+// ============================================
+
+// Retry / discard everything
+elements.retryAllBtn.addEventListener("click", () => retryDeadLetters());
+elements.discardAllBtn.addEventListener("click", () => discardDeadLetters());
+
+// Per-item actions (delegated)
+elements.deadLetterContainer.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-action]");
+  if (!btn) return;
+
+  const id = btn.dataset.id;
+  const item = btn.closest(".log-item");
+
+  switch (btn.dataset.action) {
+    case "edit":
+      toggleDeadLetterEditor(item, true);
+      break;
+    case "cancel":
+      toggleDeadLetterEditor(item, false);
+      break;
+    case "save":
+      saveDeadLetter(id, item.querySelector(".dead-letter-editor").value);
+      break;
+    case "retry":
+      retryDeadLetters([id]);
+      break;
+    case "discard":
+      discardDeadLetters([id]);
+      break;
+  }
+});
+
 // ============================================
 // EVENT LISTENERS - SETTINGS TAB
 // ============================================
 
+// API endpoint profile picked - fill in its URL
+elements.apiProfileSelect.addEventListener("change", () => {
+  const url = elements.apiProfileSelect.value;
+  if (url) {
+    elements.apiUrlInput.value = url;
+  } else {
+    elements.apiUrlInput.focus();
+  }
+});
+
+// Typing a URL switches the profile to "Custom" unless it matches one
+elements.apiUrlInput.addEventListener("input", () => {
+  selectApiProfile(elements.apiUrlInput.value.trim());
+});
+
+elements.saveApiUrlBtn.addEventListener("click", saveApiEndpoint);
+
+elements.apiUrlInput.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") {
+    saveApiEndpoint();
+  }
+});
+
+// Encryption
+elements.enableEncryptionBtn.addEventListener("click", enableEncryption);
+elements.disableEncryptionBtn.addEventListener("click", disableEncryption);
+
+elements.passphraseConfirm.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") {
+    enableEncryption();
+  }
+});
+
+// Sync destinations
+elements.localOnlyToggle.addEventListener("change", () => {
+  updateDestinationSettings({ localOnly: elements.localOnlyToggle.checked });
+});
+
+elements.primaryEnabledToggle.addEventListener("change", () => {
+  updateDestinationSettings({
+    primaryEnabled: elements.primaryEnabledToggle.checked,
+  });
+});
+
+// Templates only apply to webhooks
+elements.destinationType.addEventListener("change", () => {
+  elements.destinationTemplate.hidden =
+    elements.destinationType.value !== "webhook";
+});
+
+elements.addDestinationBtn.addEventListener("click", addDestination);
+
+elements.destinationList.addEventListener("change", (e) => {
+  const id = e.target.dataset.id;
+  if (id) toggleDestination(id, e.target.checked);
+});
+
+elements.destinationList.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-action='remove']");
+  if (btn) removeDestination(btn.dataset.id);
+});
+
 // Add blocked domain
 elements.addBlockedDomainBtn.addEventListener("click", () => {
   addCustomItem("blockedDomains", elements.newBlockedDomain);
@@ -135,6 +360,17 @@ elements.newBlockedDomain.addEventListener("keypress", (e) => {
   }
 });
 
+// Add content capture domain
+elements.addContentCaptureDomainBtn.addEventListener("click", () => {
+  addCustomItem("contentCaptureDomains", elements.newContentCaptureDomain);
+});
+
+elements.newContentCaptureDomain.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") {
+    addCustomItem("contentCaptureDomains", elements.newContentCaptureDomain);
+  }
+});
+
 // Add sensitive param
 elements.addSensitiveParamBtn.addEventListener("click", () => {
   addCustomItem("sensitiveParams", elements.newSensitiveParam);
@@ -146,6 +382,17 @@ elements.newSensitiveParam.addEventListener("keypress", (e) => {
   }
 });
 
+// URL rules
+elements.saveUrlRulesBtn.addEventListener("click", saveUrlRules);
+elements.resetUrlRulesBtn.addEventListener("click", resetUrlRules);
+
+// Engagement signals (picked up when the next session starts)
+elements.engagementToggle.addEventListener("change", () => {
+  chrome.storage.local.set({
+    engagementTracking: elements.engagementToggle.checked,
+  });
+});
+
 // Reset settings
 elements.resetSettingsBtn.addEventListener("click", resetCustomSettings);
 
@@ -153,23 +400,57 @@ elements.resetSettingsBtn.addEventListener("click", resetCustomSettings);
 // CUSTOM SETTINGS MANAGEMENT
 // ============================================
 
+// Storage key of each custom list
+const CUSTOM_LIST_KEYS = {
+  blockedDomains: "customBlockedDomains",
+  contentCaptureDomains: "customContentCaptureDomains",
+  sensitiveParams: "customSensitiveParams",
+};
+
 async function loadCustomSettings() {
   const data = await chrome.storage.local.get([
-    "customBlockedDomains",
-    "customSensitiveParams",
+    ...Object.values(CUSTOM_LIST_KEYS),
+    "remoteConfig",
   ]);
 
   const blockedDomains = data.customBlockedDomains || [];
+  const contentCaptureDomains = data.customContentCaptureDomains || [];
   const sensitiveParams = data.customSensitiveParams || [];
-
-  renderTags("blockedDomainsList", blockedDomains, "blockedDomains");
-  renderTags("sensitiveParamsList", sensitiveParams, "sensitiveParams");
+  const remote = data.remoteConfig || {};
+
+  renderTags(
+    "blockedDomainsList",
+    blockedDomains,
+    "blockedDomains",
+    remote.blockedDomains || [],
+  );
+  renderTags(
+    "contentCaptureDomainsList",
+    contentCaptureDomains,
+    "contentCaptureDomains",
+  );
+  renderTags(
+    "sensitiveParamsList",
+    sensitiveParams,
+    "sensitiveParams",
+    remote.sensitiveParams || [],
+  );
+  renderPolicy(data.remoteConfig);
 }
 
-function renderTags(containerId, items, storageKey) {
+function renderTags(containerId, items, storageKey, lockedItems = []) {
   const container = document.getElementById(containerId);
   container.innerHTML = "";
 
+  // Server-enforced entries can't be removed
+  lockedItems.forEach((item) => {
+    const tag = document.createElement("span");
+    tag.className = "tag tag-locked";
+    tag.title = "Enforced by your organization";
+    tag.textContent = `🔒 ${item}`;
+    container.appendChild(tag);
+  });
+
   items.forEach((item) => {
     const tag = document.createElement("span");
     tag.className = "tag";
@@ -199,7 +480,10 @@ async function addCustomItem(storageKey, inputElement) {
   }
 
   // Validate based on type
-  if (storageKey === "blockedDomains") {
+  if (
+    storageKey === "blockedDomains" ||
+    storageKey === "contentCaptureDomains"
+  ) {
     // Basic domain validation
     if (!isValidDomain(value)) {
       showToast("Please enter a valid domain (e.g., example.com)", "error");
@@ -216,10 +500,7 @@ async function addCustomItem(storageKey, inputElement) {
     }
   }
 
-  const chromeKey =
-    storageKey === "blockedDomains"
-      ? "customBlockedDomains"
-      : "customSensitiveParams";
+  const chromeKey = CUSTOM_LIST_KEYS[storageKey];
   const data = await chrome.storage.local.get(chromeKey);
   const items = data[chromeKey] || [];
 
@@ -229,6 +510,12 @@ async function addCustomItem(storageKey, inputElement) {
     return;
   }
 
+  const { remoteConfig } = await chrome.storage.local.get("remoteConfig");
+  if (remoteConfig?.[storageKey]?.includes(value)) {
+    showToast("Already enforced by your organization", "error");
+    return;
+  }
+
   // Add new item
   items.push(value);
   await chrome.storage.local.set({ [chromeKey]: items });
@@ -244,10 +531,7 @@ async function addCustomItem(storageKey, inputElement) {
 }
 
 async function removeCustomItem(storageKey, item) {
-  const chromeKey =
-    storageKey === "blockedDomains"
-      ? "customBlockedDomains"
-      : "customSensitiveParams";
+  const chromeKey = CUSTOM_LIST_KEYS[storageKey];
   const data = await chrome.storage.local.get(chromeKey);
   const items = data[chromeKey] || [];
 
@@ -265,7 +549,7 @@ async function removeCustomItem(storageKey, item) {
 async function resetCustomSettings() {
   if (
     !confirm(
-      "This will remove all custom blocked domains and sensitive parameters. Continue?",
+      "This will remove all custom blocked domains, content capture domains and sensitive parameters. Continue?",
     )
   ) {
     return;
@@ -273,6 +557,7 @@ async function resetCustomSettings() {
 
   await chrome.storage.local.set({
     customBlockedDomains: [],
+    customContentCaptureDomains: [],
     customSensitiveParams: [],
   });
 
@@ -284,6 +569,31 @@ async function resetCustomSettings() {
   showToast("Custom settings reset", "success");
 }
 
+function renderPolicy(remoteConfig) {
+  const timing = remoteConfig?.timing || {};
+  const rows = [
+    ["Idle threshold", timing.idleThreshold, "s"],
+    ["Minimum visit", timing.minDuration, "s"],
+    ["Sync interval", timing.syncInterval, " min"],
+  ].filter(([, value]) => value != null);
+
+  elements.policySection.hidden = !remoteConfig;
+  if (!remoteConfig) return;
+
+  elements.policyDetails.innerHTML = rows.length
+    ? rows
+        .map(
+          ([label, value, unit]) =>
+            `<div class="policy-row"><span>${label}</span><span class="stat-value">${escapeHtml(String(value))}${unit}</span></div>`,
+        )
+        .join("")
+    : `<div class="policy-row">No timing overrides</div>`;
+
+  elements.policyUpdated.textContent = remoteConfig.fetchedAt
+    ? `Updated ${new Date(remoteConfig.fetchedAt).toLocaleString()}`
+    : "";
+}
+
 function isValidDomain(value) {
   // Simple domain validation
   const domainRegex = /^[a-z0-9]+([\-\.]{1}[a-z0-9]+)*\.[a-z]{2,}$/i;
@@ -294,6 +604,315 @@ function isValidDomain(value) {
   return domainRegex.test(value) || ipRegex.test(value);
 }
 
+// ============================================
+// API ENDPOINT
+// ============================================
+
+async function loadApiEndpoint() {
+  const config = await chrome.runtime.sendMessage({ action: "getApiConfig" });
+  if (!config) return;
+
+  elements.apiProfileSelect.innerHTML = "";
+
+  Object.entries(config.profiles).forEach(([name, url]) => {
+    const option = document.createElement("option");
+    option.value = url;
+    option.textContent = `${name.charAt(0).toUpperCase() + name.slice(1)} (${url})`;
+    elements.apiProfileSelect.appendChild(option);
+  });
+
+  const custom = document.createElement("option");
+  custom.value = "";
+  custom.textContent = "Custom...";
+  elements.apiProfileSelect.appendChild(custom);
+
+  elements.apiUrlInput.value = config.apiUrl;
+  selectApiProfile(config.apiUrl);
+}
+
+function selectApiProfile(url) {
+  const options = Array.from(elements.apiProfileSelect.options);
+  const match = options.find((option) => option.value && option.value === url);
+  elements.apiProfileSelect.value = match ? match.value : "";
+}
+
+async function saveApiEndpoint() {
+  const url = elements.apiUrlInput.value.trim();
+
+  if (!url) {
+    showToast("Please enter an API URL", "error");
+    return;
+  }
+
+  elements.saveApiUrlBtn.disabled = true;
+  elements.saveApiUrlBtn.textContent = "Testing...";
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: "setApiUrl",
+      apiUrl: url,
+    });
+
+    if (!response?.success) {
+      showToast(response?.error || "Could not save endpoint", "error");
+      return;
+    }
+
+    elements.apiUrlInput.value = response.apiUrl;
+    selectApiProfile(response.apiUrl);
+
+    if (response.connected) {
+      showToast("Endpoint saved and connected!", "success");
+    } else {
+      showToast("Endpoint saved - check your API key", "error");
+    }
+
+    await checkConnectionStatus();
+  } finally {
+    elements.saveApiUrlBtn.disabled = false;
+    elements.saveApiUrlBtn.textContent = "Test & Save";
+  }
+}
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+async function loadEncryptionStatus() {
+  const status = await chrome.runtime.sendMessage({
+    action: "getEncryptionStatus",
+  });
+
+  const enabled = !!status?.enabled;
+  elements.encryptionSetup.hidden = enabled;
+  elements.disableEncryptionBtn.hidden = !enabled;
+  elements.encryptionStatus.textContent = enabled
+    ? `Enabled (key ${status.keyId}) - the server only sees ciphertext`
+    : "URLs, titles and descriptions are sent in plaintext";
+}
+
+async function enableEncryption() {
+  const passphrase = elements.passphraseInput.value;
+
+  if (passphrase.length < 8) {
+    showToast("Passphrase must be at least 8 characters", "error");
+    return;
+  }
+
+  if (passphrase !== elements.passphraseConfirm.value) {
+    showToast("Passphrases do not match", "error");
+    return;
+  }
+
+  elements.enableEncryptionBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: "enableEncryption",
+      passphrase,
+    });
+
+    if (response?.success) {
+      elements.passphraseInput.value = "";
+      elements.passphraseConfirm.value = "";
+      showToast("Encryption enabled - keep your passphrase safe!", "success");
+    } else {
+      showToast(response?.error || "Could not enable encryption", "error");
+    }
+  } finally {
+    elements.enableEncryptionBtn.disabled = false;
+    await loadEncryptionStatus();
+  }
+}
+
+async function disableEncryption() {
+  if (
+    !confirm(
+      "Disable encryption? Future syncs will send URLs and titles in plaintext.",
+    )
+  ) {
+    return;
+  }
+
+  await chrome.runtime.sendMessage({ action: "disableEncryption" });
+  await loadEncryptionStatus();
+  showToast("Encryption disabled", "success");
+}
+
+// ============================================
+// SYNC DESTINATIONS
+// ============================================
+
+const DESTINATION_DEFAULTS = {
+  localOnly: false,
+  primaryEnabled: true,
+  destinations: [],
+};
+
+async function getDestinationSettings() {
+  const data = await chrome.storage.local.get("destinationSettings");
+  return { ...DESTINATION_DEFAULTS, ...data.destinationSettings };
+}
+
+async function updateDestinationSettings(changes) {
+  const settings = await getDestinationSettings();
+  await chrome.storage.local.set({
+    destinationSettings: { ...settings, ...changes },
+  });
+}
+
+async function loadDestinations() {
+  const settings = await getDestinationSettings();
+  const data = await chrome.storage.local.get("syncRetryState");
+  const retryStates = data.syncRetryState || {};
+
+  elements.localOnlyToggle.checked = settings.localOnly;
+  elements.primaryEnabledToggle.checked = settings.primaryEnabled;
+  elements.primaryEnabledToggle.disabled = settings.localOnly;
+
+  elements.destinationList.innerHTML = "";
+
+  settings.destinations.forEach((destination) => {
+    const lastError = retryStates[destination.id]?.lastError;
+    const item = document.createElement("div");
+    item.className = "destination-item";
+
+    item.innerHTML = `
+      <input type="checkbox" data-id="${escapeHtml(destination.id)}" ${destination.enabled !== false ? "checked" : ""} ${settings.localOnly ? "disabled" : ""} />
+      <div class="destination-info">
+        <div class="destination-name">${escapeHtml(destination.name)} <span class="log-domain">${destination.type === "webhook" ? "Webhook" : "Echo API"}</span></div>
+        <div class="destination-url" title="${escapeHtml(destination.url)}">${escapeHtml(destination.url)}</div>
+        ${lastError ? `<div class="destination-error" title="${escapeHtml(lastError)}">⚠ ${escapeHtml(lastError)}</div>` : ""}
+      </div>
+      <button class="tag-remove" data-action="remove" data-id="${escapeHtml(destination.id)}" title="Remove">×</button>
+    `;
+
+    elements.destinationList.appendChild(item);
+  });
+}
+
+async function addDestination() {
+  const type = elements.destinationType.value;
+  const name = elements.destinationName.value.trim();
+  const url = elements.destinationUrl.value.trim().replace(/\/+$/, "");
+  const apiKey = elements.destinationApiKey.value.trim();
+  const template = elements.destinationTemplate.value.trim();
+
+  if (!name) {
+    showToast("Please enter a name", "error");
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    showToast("Please enter a valid http(s) URL", "error");
+    return;
+  }
+
+  if (type === "echo" && !apiKey) {
+    showToast("Echo destinations need an API key", "error");
+    return;
+  }
+
+  if (type === "webhook" && template) {
+    try {
+      JSON.parse(template);
+    } catch {
+      showToast("Template is not valid JSON", "error");
+      return;
+    }
+  }
+
+  const settings = await getDestinationSettings();
+  settings.destinations.push({
+    id: crypto.randomUUID(),
+    type,
+    name,
+    url,
+    apiKey,
+    template: type === "webhook" ? template : "",
+    enabled: true,
+  });
+  await chrome.storage.local.set({ destinationSettings: settings });
+
+  elements.destinationName.value = "";
+  elements.destinationUrl.value = "";
+  elements.destinationApiKey.value = "";
+  elements.destinationTemplate.value = "";
+  showToast(`Added "${name}"`, "success");
+}
+
+async function toggleDestination(id, enabled) {
+  const settings = await getDestinationSettings();
+  await updateDestinationSettings({
+    destinations: settings.destinations.map((destination) =>
+      destination.id === id ? { ...destination, enabled } : destination,
+    ),
+  });
+}
+
+async function removeDestination(id) {
+  const settings = await getDestinationSettings();
+  const destination = settings.destinations.find((d) => d.id === id);
+  if (!destination || !confirm(`Remove "${destination.name}"?`)) return;
+
+  await updateDestinationSettings({
+    destinations: settings.destinations.filter((d) => d.id !== id),
+  });
+  showToast(`Removed "${destination.name}"`, "success");
+}
+
+// ============================================
+// URL RULES
+// ============================================
+
+async function loadUrlRules() {
+  const response = await chrome.runtime.sendMessage({ action: "getUrlRules" });
+  if (!response) return;
+
+  elements.urlRulesInput.value = JSON.stringify(response.rules, null, 2);
+  elements.urlRulesStatus.textContent = response.isDefault
+    ? "Built-in rules - edit to customize"
+    : `${response.rules.length} custom rules`;
+}
+
+async function saveUrlRules() {
+  let rules;
+  try {
+    rules = JSON.parse(elements.urlRulesInput.value);
+  } catch (e) {
+    showToast("Rules are not valid JSON", "error");
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: "setUrlRules",
+    rules,
+  });
+
+  if (!response?.success) {
+    showToast(response?.errors?.[0] || "Could not save rules", "error");
+    return;
+  }
+
+  await loadUrlRules();
+  showToast("URL rules saved", "success");
+}
+
+async function resetUrlRules() {
+  if (!confirm("Replace your URL rules with the built-in defaults?")) return;
+
+  await chrome.runtime.sendMessage({ action: "setUrlRules", rules: null });
+  await loadUrlRules();
+  showToast("URL rules restored", "success");
+}
+
 // ============================================
 // API KEY MANAGEMENT
 // ============================================
@@ -328,13 +947,18 @@ async function saveApiKey() {
 async function checkConnectionStatus() {
   setStatus("checking", "Checking...");
 
-  const data = await chrome.storage.local.get("apiKey");
+  const data = await chrome.storage.local.get(["apiKey", "authRequired"]);
 
   if (!data.apiKey) {
     setStatus("disconnected", "No API key");
     return;
   }
 
+  if (data.authRequired) {
+    setStatus("auth-required", "Auth required");
+    return;
+  }
+
   if (!navigator.onLine) {
     setStatus("disconnected", "Offline");
     return;
@@ -349,6 +973,8 @@ async function checkConnectionStatus() {
 
     if (response?.connected) {
       setStatus("connected", "Connected");
+    } else if (response?.status === 401 || response?.status === 403) {
+      setStatus("auth-required", "Invalid API key");
     } else {
       setStatus("disconnected", response?.error || "Disconnected");
     }
@@ -361,6 +987,7 @@ async function checkConnectionStatus() {
 function setStatus(status, text) {
   elements.statusDot.className = "status-dot " + status;
   elements.statusText.textContent = text;
+  elements.reauthBtn.hidden = status !== "auth-required";
 }
 
 function updateNetworkStatus() {
@@ -380,16 +1007,115 @@ window.addEventListener("offline", () => {
   setStatus("disconnected", "Offline");
 });
 
+// ============================================
+// NOW CARD (CURRENT SESSION)
+// ============================================
+
+async function loadCurrentSession() {
+  const previousId = currentSession?.sessionId;
+  try {
+    const session = await chrome.runtime.sendMessage({
+      action: "getCurrentSession",
+    });
+    currentSession = session?.url ? session : null;
+  } catch (e) {
+    currentSession = null;
+  }
+  renderNowCard(currentSession?.sessionId !== previousId);
+}
+
+function renderNowCard(isNewSession = true) {
+  elements.nowIdle.hidden = !!currentSession;
+  elements.nowBody.hidden = !currentSession;
+  updateNowTimer();
+  if (!currentSession) return;
+
+  const { url, metadata, note } = currentSession;
+  let domain = url;
+  try {
+    domain = new URL(url).hostname.replace(/^www\./, "");
+  } catch (e) {
+    /* keep the raw URL */
+  }
+  elements.nowTitle.textContent = metadata?.title || domain;
+  elements.nowTitle.title = url;
+  elements.nowDomain.textContent = domain;
+
+  // Don't overwrite what is being typed (unless it was about another page)
+  if (isNewSession || document.activeElement !== elements.nowNote) {
+    clearTimeout(noteSaveTimeout);
+    noteSaveTimeout = null;
+    elements.nowNote.value = note;
+  }
+  renderNowTags();
+}
+
+function renderNowTags() {
+  elements.nowTagsList.innerHTML = currentSession.tags
+    .map(
+      (tag) => `
+      <span class="tag">
+        #${escapeHtml(tag)}
+        <button class="tag-remove" data-tag="${escapeHtml(tag)}">×</button>
+      </span>`,
+    )
+    .join("");
+}
+
+function updateNowTimer() {
+  elements.nowTimer.textContent = currentSession
+    ? formatDuration(
+        Math.max(
+          Math.floor((Date.now() - currentSession.visitStartTime) / 1000),
+          0,
+        ),
+      )
+    : "--";
+}
+
+function saveNote() {
+  noteSaveTimeout = null;
+  annotateSession({ note: elements.nowNote.value });
+}
+
+function flushNote() {
+  if (!noteSaveTimeout) return;
+  clearTimeout(noteSaveTimeout);
+  saveNote();
+}
+
+async function annotateSession(changes) {
+  if (!currentSession) return;
+
+  const response = await chrome.runtime.sendMessage({
+    action: "annotateSession",
+    sessionId: currentSession.sessionId,
+    ...changes,
+  });
+
+  if (response?.success) {
+    currentSession.note = response.note;
+    currentSession.tags = response.tags;
+    renderNowTags();
+  } else {
+    showToast("This page is no longer being tracked", "error");
+    await loadCurrentSession();
+  }
+}
+
 // ============================================
 // LOGS RENDERING
 // ============================================
 
 async function renderLogs() {
   const data = await chrome.storage.local.get("logs");
-  const logs = data.logs || [];
+  const buffered = data.logs || [];
+
+  // Highlights are buffered too, but listed on their own tab
+  const logs = buffered.filter((log) => log.type !== "highlight");
 
   // Update counts
-  elements.bufferCount.textContent = logs.length;
+  elements.bufferCount.textContent = buffered.length;
   elements.logsCount.textContent = `${logs.length} item${logs.length !== 1 ? "s" : ""}`;
 
   // Clear container
@@ -420,12 +1146,34 @@ async function renderLogs() {
     // Format duration
     const duration = formatDuration(log.duration);
 
+    // Active interaction time, if engagement signals were measured
+    const engagement = log.engagement
+      ? `<span>•</span>
+        <span title="${log.engagement.scrollDepth}% scrolled${log.engagement.mediaPlayed ? ", media played" : ""}">⌨️ ${formatDuration(log.engagement.interactionTime)} active</span>`
+      : "";
+
+    // Page text captured for the knowledge base
+    const content = log.content
+      ? `<span>•</span>
+        <span title="${log.content.length.toLocaleString()} characters captured">📄</span>`
+      : "";
+
+    // Note and tags entered on the Now card
+    const annotation =
+      log.note || log.tags?.length
+        ? `<span>•</span>
+        <span title="${escapeHtml(log.note || "")}">📝 ${escapeHtml((log.tags || []).map((tag) => `#${tag}`).join(" "))}</span>`
+        : "";
+
     item.innerHTML = `
       <div class="log-title" title="${escapeHtml(log.description || log.title || "")}">${escapeHtml(cleanTitle)}</div>
       <div class="log-meta">
         <span class="log-domain">${escapeHtml(log.domain)}</span>
         <span>•</span>
         <span class="log-duration">${duration}</span>
+        ${engagement}
+        ${content}
+        ${annotation}
       </div>
     `;
 
@@ -454,6 +1202,235 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// ============================================
+// HIGHLIGHTS
+// ============================================
+
+async function renderHighlights() {
+  const data = await chrome.storage.local.get([
+    "highlights",
+    "logs",
+    "deadLetters",
+  ]);
+  const highlights = data.highlights || [];
+  const pendingIds = new Set((data.logs || []).map((log) => log.id));
+  const rejectedIds = new Set(
+    (data.deadLetters || []).map((letter) => letter.entry?.id),
+  );
+
+  elements.highlightsCount.textContent = `${highlights.length} item${highlights.length !== 1 ? "s" : ""}`;
+  elements.highlightContainer.innerHTML = "";
+
+  if (highlights.length === 0) {
+    elements.highlightContainer.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">✨</div>
+        <div class="empty-text">No highlights yet.<br>Select text and right-click "Save selection to Echo".</div>
+      </div>
+    `;
+    return;
+  }
+
+  // Newest first
+  highlights
+    .slice()
+    .reverse()
+    .forEach((highlight) => {
+      const item = document.createElement("div");
+      item.className = "log-item";
+
+      const context = `${highlight.contextBefore ? "…" + highlight.contextBefore + " " : ""}[${highlight.text}]${highlight.contextAfter ? " " + highlight.contextAfter + "…" : ""}`;
+      const savedAt = new Date(highlight.timestamp).toLocaleString();
+      const syncState = pendingIds.has(highlight.id)
+        ? "⏳ Pending sync"
+        : rejectedIds.has(highlight.id)
+          ? "⚠ Rejected"
+          : "✓ Synced";
+
+      item.innerHTML = `
+        <div class="highlight-text" title="${escapeHtml(context)}">“${escapeHtml(highlight.text)}”</div>
+        <div class="log-meta">
+          <span class="log-domain" title="${escapeHtml(highlight.url)}">${escapeHtml(highlight.title || highlight.domain)}</span>
+          <span>•</span>
+          <span>${escapeHtml(savedAt)}</span>
+          <span>•</span>
+          <span>${syncState}</span>
+          <button class="tag-remove" data-action="remove" data-id="${escapeHtml(highlight.id)}" title="Remove from history">×</button>
+        </div>
+      `;
+
+      elements.highlightContainer.appendChild(item);
+    });
+}
+
+async function removeHighlight(id) {
+  const data = await chrome.storage.local.get("highlights");
+  await chrome.storage.local.set({
+    highlights: (data.highlights || []).filter((h) => h.id !== id),
+  });
+}
+
+async function clearHighlights() {
+  const data = await chrome.storage.local.get("highlights");
+  const count = data.highlights?.length || 0;
+
+  if (count === 0) {
+    showToast("No highlights saved", "error");
+    return;
+  }
+
+  // Only the local history - highlights still in the buffer will sync
+  if (
+    !confirm(
+      `Clear ${count} highlight${count !== 1 ? "s" : ""} from this list? Pending ones will still sync.`,
+    )
+  ) {
+    return;
+  }
+
+  await chrome.storage.local.set({ highlights: [] });
+  showToast("Highlights cleared", "success");
+}
+
+// ============================================
+// DEAD LETTERS (REJECTED LOGS)
+// ============================================
+
+async function renderDeadLetters() {
+  const data = await chrome.storage.local.get("deadLetters");
+  const letters = data.deadLetters || [];
+
+  elements.deadLettersCount.textContent = `${letters.length} item${letters.length !== 1 ? "s" : ""}`;
+  elements.deadLetterContainer.innerHTML = "";
+
+  if (letters.length === 0) {
+    elements.deadLetterContainer.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-icon">✅</div>
+        <div class="empty-text">No rejected logs.<br>Everything the server refused shows up here.</div>
+      </div>
+    `;
+    return;
+  }
+
+  // Newest first
+  letters
+    .slice()
+    .reverse()
+    .forEach((letter) => {
+      const item = document.createElement("div");
+      item.className = "log-item";
+
+      const title = letter.entry.title || letter.entry.domain || "Untitled";
+
+      item.innerHTML = `
+        <div class="log-title" title="${escapeHtml(letter.entry.url)}">${escapeHtml(title)}</div>
+        <div class="log-meta">
+          <span class="dead-letter-status">HTTP ${escapeHtml(String(letter.status))}</span>
+          <span>•</span>
+          ${letter.destinationName ? `<span>${escapeHtml(letter.destinationName)}</span><span>•</span>` : ""}
+          <span class="log-domain">${escapeHtml(letter.entry.domain)}</span>
+        </div>
+        <div class="dead-letter-error" title="${escapeHtml(letter.responseBody)}">${escapeHtml(letter.responseBody) || "No response body"}</div>
+        <textarea class="dead-letter-editor" hidden>${escapeHtml(JSON.stringify(letter.entry, null, 2))}</textarea>
+        <div class="dead-letter-actions">
+          <button class="btn btn-secondary btn-sm" data-action="edit" data-id="${escapeHtml(letter.id)}">✏️ Edit</button>
+          <button class="btn btn-primary btn-sm" data-action="save" data-id="${escapeHtml(letter.id)}" hidden>Save</button>
+          <button class="btn btn-secondary btn-sm" data-action="cancel" data-id="${escapeHtml(letter.id)}" hidden>Cancel</button>
+          <button class="btn btn-secondary btn-sm" data-action="retry" data-id="${escapeHtml(letter.id)}">↻ Retry</button>
+          <button class="btn btn-secondary btn-sm" data-action="discard" data-id="${escapeHtml(letter.id)}">🗑 Discard</button>
+        </div>
+      `;
+
+      elements.deadLetterContainer.appendChild(item);
+    });
+}
+
+function toggleDeadLetterEditor(item, isEditing) {
+  item.querySelector(".dead-letter-editor").hidden = !isEditing;
+  item.querySelectorAll("[data-action]").forEach((btn) => {
+    const isEditorAction =
+      btn.dataset.action === "save" || btn.dataset.action === "cancel";
+    btn.hidden = isEditing ? !isEditorAction : isEditorAction;
+  });
+}
+
+async function saveDeadLetter(id, json) {
+  let entry;
+  try {
+    entry = JSON.parse(json);
+  } catch (e) {
+    showToast("Invalid JSON: " + e.message, "error");
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: "updateDeadLetter",
+    id,
+    entry,
+  });
+
+  if (response?.success) {
+    showToast("Rejected log updated", "success");
+  } else {
+    showToast(response?.error || "Update failed", "error");
+  }
+}
+
+async function retryDeadLetters(ids) {
+  const targetIds = ids || (await getDeadLetterIds());
+  if (targetIds.length === 0) {
+    showToast("No rejected logs", "error");
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: "retryDeadLetters",
+    ids: targetIds,
+  });
+
+  if (response?.success) {
+    showToast(
+      `Moved ${response.count} log${response.count !== 1 ? "s" : ""} back to buffer`,
+      "success",
+    );
+  } else {
+    showToast(response?.error || "Retry failed", "error");
+  }
+}
+
+async function discardDeadLetters(ids) {
+  const targetIds = ids || (await getDeadLetterIds());
+  if (targetIds.length === 0) {
+    showToast("No rejected logs", "error");
+    return;
+  }
+
+  if (
+    !confirm(
+      `Discard ${targetIds.length} rejected log${targetIds.length !== 1 ? "s" : ""}? This cannot be undone.`,
+    )
+  ) {
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: "discardDeadLetters",
+    ids: targetIds,
+  });
+
+  if (response?.success) {
+    showToast("Rejected logs discarded", "success");
+  } else {
+    showToast(response?.error || "Discard failed", "error");
+  }
+}
+
+async function getDeadLetterIds() {
+  const data = await chrome.storage.local.get("deadLetters");
+  return (data.deadLetters || []).map((letter) => letter.id);
+}
+
 // ============================================
 // SYNC OPERATIONS
 // ============================================
@@ -488,7 +1465,14 @@ async function forceSync() {
     // Send message to background to sync
     const response = await chrome.runtime.sendMessage({ action: "forceSync" });
 
-    if (response?.success) {
+    if (response?.success && response.authRequired) {
+      showToast(
+        "Authentication required - please update your API key",
+        "error",
+      );
+      await renderLogs();
+      await checkConnectionStatus();
+    } else if (response?.success) {
       showToast(`Synced ${data.logs.length} logs!`, "success");
       await renderLogs();
       await checkConnectionStatus();
@@ -555,11 +1539,33 @@ function showToast(message, type = "success") {
 
 // Listen for storage changes
 chrome.storage.onChanged.addListener((changes, area) => {
+  // The tracked session changed (checkpointed by the service worker)
+  if (area === "session" && changes.activeSession) {
+    loadCurrentSession();
+  }
   if (area === "local") {
     if (changes.logs) {
       renderLogs();
     }
-    if (changes.customBlockedDomains || changes.customSensitiveParams) {
+    // Sync status of highlights follows the buffer
+    if (changes.highlights || changes.logs || changes.deadLetters) {
+      renderHighlights();
+    }
+    if (changes.deadLetters) {
+      renderDeadLetters();
+    }
+    if (changes.authRequired) {
+      checkConnectionStatus();
+    }
+    if (changes.destinationSettings || changes.syncRetryState) {
+      loadDestinations();
+    }
+    if (
+      changes.customBlockedDomains ||
+      changes.customContentCaptureDomains ||
+      changes.customSensitiveParams ||
+      changes.remoteConfig
+    ) {
       loadCustomSettings();
     }
   }
@@ -0,0 +1,107 @@
+// ============================================
+// REMOTE CONFIG - Server-Pushed Policy
+// ============================================
+// Fetches team policy from GET /api/config. The result is stored as
+// "remoteConfig" and merged by loadCustomSettings in utils.js.
+
+import logger from "./logger.js";
+import { isOnline, getApiUrl } from "./utils.js";
+
+// Lower bounds keep a bad policy from breaking Chrome APIs
+// (chrome.idle needs >= 15s, chrome.alarms fire at most every 30s)
+const TIMING_LIMITS = {
+  idleThreshold: { min: 15, max: 14400 },
+  minDuration: { min: 0, max: 3600 },
+  syncInterval: { min: 0.5, max: 1440 },
+};
+
+/**
+ * Keep only well-formed, lowercase strings from a server list
+ * @param {*} list - Value from the server
+ * @returns {string[]}
+ */
+function sanitizeList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((item) => typeof item === "string" && item.trim())
+    .map((item) => item.trim().toLowerCase());
+}
+
+/**
+ * Keep only known timing keys with numbers inside their limits
+ * @param {*} timing - Value from the server
+ * @returns {Object}
+ */
+function sanitizeTiming(timing) {
+  const result = {};
+  if (!timing || typeof timing !== "object") return result;
+
+  Object.entries(TIMING_LIMITS).forEach(([key, { min, max }]) => {
+    const value = Number(timing[key]);
+    if (timing[key] != null && Number.isFinite(value)) {
+      result[key] = Math.min(Math.max(value, min), max);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Fetch policy from the server and store it
+ * @returns {Promise<boolean>} Whether stored policy changed
+ */
+export async function fetchRemoteConfig() {
+  if (!isOnline()) return false;
+
+  const data = await chrome.storage.local.get(["apiKey", "remoteConfig"]);
+  if (!data.apiKey) return false;
+
+  try {
+    const apiUrl = await getApiUrl();
+    const response = await fetch(`${apiUrl}/api/config`, {
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${data.apiKey}`,
+      },
+    });
+
+    // Server has no policy for us - drop any previously enforced one
+    if (response.status === 404) {
+      if (!data.remoteConfig) return false;
+      await chrome.storage.local.remove("remoteConfig");
+      logger.info("Remote config removed by server");
+      return true;
+    }
+
+    if (!response.ok) {
+      logger.warn("Remote config fetch failed", { status: response.status });
+      return false;
+    }
+
+    const body = await response.json();
+    const config = {
+      blockedDomains: sanitizeList(body.blockedDomains),
+      sensitiveParams: sanitizeList(body.sensitiveParams),
+      timing: sanitizeTiming(body.timing),
+    };
+
+    const { fetchedAt, ...previous } = data.remoteConfig || {};
+    const changed = JSON.stringify(previous) !== JSON.stringify(config);
+
+    await chrome.storage.local.set({
+      remoteConfig: { ...config, fetchedAt: new Date().toISOString() },
+    });
+
+    logger.info("Remote config fetched", {
+      changed,
+      blockedDomains: config.blockedDomains.length,
+      sensitiveParams: config.sensitiveParams.length,
+      timing: config.timing,
+    });
+
+    return changed;
+  } catch (e) {
+    logger.warn("Remote config fetch failed", { error: e.message });
+    return false;
+  }
+}
@@ -11,8 +11,22 @@ import {
   extractDomain,
   sanitizeText,
   refreshBadge,
+  generateEntryId,
+  getTimingSettings,
+  isContentCaptureDomain,
+  redactUrlsInText,
 } from "./utils.js";
-import { MIN_DURATION } from "./config.js";
+import { isSameVisit } from "./urlRules.js";
+import {
+  SLEEP_GAP_TOLERANCE,
+  CONTENT_CAPTURE_MIN_ACTIVE,
+  CONTENT_CAPTURE_MIN_SCROLL,
+  CONTENT_CAPTURE_MAX_CHARS,
+  CONTENT_CAPTURE_MAX_BLOCKS,
+  SESSION_NOTE_MAX_CHARS,
+  SESSION_MAX_TAGS,
+  SESSION_TAG_MAX_CHARS,
+} from "./config.js";
 
 // ============================================
 // STATE
@@ -22,6 +36,164 @@ let currentUrl = "";
 let lastActiveTime = Date.now();
 let currentMetadata = { title: "", description: "" };
 
+// One logical visit is logged as one or more chunks (see
+// endAndRestartSession) sharing a session ID, numbered from 0
+let sessionId = null;
+let chunkIndex = 0;
+
+// When the visit started (lastActiveTime restarts with every chunk)
+let visitStartTime = null;
+
+// Note and tags the user attached from the popup (see annotateSession),
+// written to every chunk of the visit
+let note = "";
+let tags = [];
+
+// How the visit was reached (see NAVIGATION TRAIL), and the last session
+// logged before it started - together they let the server rebuild trails
+let navigation = null;
+let previousSessionId = null;
+
+// Navigations that kept the visit going (reloads, back/forward or in-page
+// links to the same page), in order; written to the chunk they happened in
+let transitions = [];
+
+// Session ID of the latest logged entry, kept in chrome.storage.session
+// so the link survives the worker being suspended between visits
+const LAST_SESSION_KEY = "lastSessionId";
+let lastLoggedSessionId = null;
+
+// Idle time inside the current session (only happens while media keeps an
+// idle session alive): finished idle spans, and the start of an open one
+let idleMs = 0;
+let idleStartedAt = null;
+
+// The session is checkpointed to chrome.storage.session so it survives
+// the service worker being suspended (see recoverSession)
+const CHECKPOINT_KEY = "activeSession";
+
+// chrome.idle.queryState's smallest detection interval
+const MIN_IDLE_QUERY_SECONDS = 15;
+
+// Last moment the tracker was known to be running (updated on checkpoint)
+let lastSeenAt = Date.now();
+
+// Session ID of the last visit whose page text was captured (at most once
+// per visit, however many chunks it is logged in)
+let contentCapturedFor = null;
+
+// Restoring the checkpoint of a previous worker (see recoverSession) - entry
+// points that change the session wait for it, or they would act on an empty
+// session that recovery then puts back
+let recovery = null;
+
+// Engagement handed over by a page that unloaded during the session
+// (see engagement.js); merged with what is collected when it ends
+let pendingEngagement = null;
+
+// ============================================
+// CHECKPOINTING
+// ============================================
+
+/**
+ * Persist the current session so a restarted worker can pick it up
+ * `lastSeenAt` is the latest moment the session was known to be running
+ */
+async function checkpointSession() {
+  lastSeenAt = Date.now();
+
+  try {
+    if (!currentUrl) {
+      await chrome.storage.session.remove(CHECKPOINT_KEY);
+      return;
+    }
+
+    await chrome.storage.session.set({
+      [CHECKPOINT_KEY]: {
+        tabId: currentTabId,
+        url: currentUrl,
+        metadata: currentMetadata,
+        sessionId,
+        chunkIndex,
+        visitStartTime,
+        note,
+        tags,
+        navigation,
+        previousSessionId,
+        transitions,
+        startTime: lastActiveTime,
+        idleMs,
+        idleStartedAt,
+        engagement: pendingEngagement,
+        contentCapturedFor,
+        lastSeenAt,
+      },
+    });
+  } catch (e) {
+    logger.warn("Failed to checkpoint session", { error: e.message });
+  }
+}
+
+/**
+ * Remember the session of the latest logged entry (the next visit's
+ * previousSessionId)
+ * @param {string} id - Session ID
+ */
+async function setLastLoggedSession(id) {
+  lastLoggedSessionId = id;
+  try {
+    await chrome.storage.session.set({ [LAST_SESSION_KEY]: id });
+  } catch (e) {
+    logger.warn("Failed to save last session ID", { error: e.message });
+  }
+}
+
+/**
+ * Check whether the machine was asleep (or Chrome suspended) between two times
+ * While tracking, the sessionChunk alarm checkpoints at least once per sync
+ * interval - a longer gap means that alarm could not fire on time
+ * @param {number} since - Last moment known to be alive (ms)
+ * @param {number} until - Current time (ms)
+ * @returns {boolean}
+ */
+function isSleepGap(since, until) {
+  const { syncInterval } = getTimingSettings();
+  return until - since > (syncInterval + SLEEP_GAP_TOLERANCE) * 60000;
+}
+
+/**
+ * Total idle time of a session up to a moment, including an open idle span
+ * @param {number} idleMs - Finished idle spans (ms)
+ * @param {number|null} idleStartedAt - Start of the open idle span, if any
+ * @param {number} until - Moment to measure up to (ms)
+ * @returns {number} Idle time (ms)
+ */
+function getIdleMs(idleMs, idleStartedAt, until) {
+  return idleMs + (idleStartedAt ? Math.max(until - idleStartedAt, 0) : 0);
+}
+
+/**
+ * Stop tracking without logging anything
+ */
+async function resetSession() {
+  currentUrl = "";
+  currentTabId = null;
+  currentMetadata = { title: "", description: "" };
+  sessionId = null;
+  chunkIndex = 0;
+  visitStartTime = null;
+  note = "";
+  tags = [];
+  navigation = null;
+  previousSessionId = null;
+  transitions = [];
+  lastActiveTime = Date.now();
+  idleMs = 0;
+  idleStartedAt = null;
+  pendingEngagement = null;
+  await checkpointSession();
+}
+
 // ============================================
 // CONTENT SCRAPER (Injected into pages)
 // ============================================
@@ -29,6 +201,8 @@ let currentMetadata = { title: "", description: "" };
 /**
  * This function runs INSIDE the webpage context
  * Uses requestIdleCallback for lazy execution
+ * Besides title/description, reads optional metadata (see PAGE_METADATA_FIELDS)
+ * from link/meta tags and the first JSON-LD block
  */
 function scrapePageContext() {
   return new Promise((resolve) => {
@@ -41,10 +215,51 @@ function scrapePageContext() {
           return el ? el.content : "";
         };
 
+        // First JSON-LD block (or the first node of its @graph)
+        let jsonLd = {};
+        try {
+          const script = document.querySelector(
+            'script[type="application/ld+json"]',
+          );
+          let data = script ? JSON.parse(script.textContent) : {};
+          if (Array.isArray(data)) data = data[0] || {};
+          if (Array.isArray(data["@graph"])) data = data["@graph"][0] || {};
+          jsonLd = data;
+        } catch (e) {
+          // Malformed JSON-LD is common - ignore it
+        }
+        const ldType = [].concat(jsonLd["@type"] || [])[0] || "";
+        const ldAuthor = [].concat(jsonLd.author || [])[0];
+
         resolve({
           title: document.title || window.location.hostname,
           description:
             getMeta("description") || getMeta("og:description") || "",
+          canonicalUrl:
+            document.querySelector('link[rel="canonical"]')?.href ||
+            getMeta("og:url"),
+          ogType: getMeta("og:type"),
+          ogImage: getMeta("og:image"),
+          siteName: getMeta("og:site_name"),
+          author:
+            getMeta("author") ||
+            (typeof ldAuthor === "string" ? ldAuthor : ldAuthor?.name) ||
+            getMeta("article:author"),
+          publishedAt:
+            getMeta("article:published_time") ||
+            jsonLd.datePublished ||
+            document
+              .querySelector("time[datetime]")
+              ?.getAttribute("datetime") ||
+            "",
+          language:
+            document.documentElement.lang ||
+            document.querySelector('meta[http-equiv="content-language"]')
+              ?.content ||
+            "",
+          keywords: getMeta("keywords"),
+          schemaType: typeof ldType === "string" ? ldType : "",
+          headline: typeof jsonLd.headline === "string" ? jsonLd.headline : "",
         });
       } catch (e) {
         resolve({ title: "", description: "" });
@@ -60,6 +275,395 @@ function scrapePageContext() {
   });
 }
 
+// Optional page metadata carried from scrapePageContext into log entries
+// (and the sync payload) when the page provides it
+export const PAGE_METADATA_FIELDS = [
+  "canonicalUrl",
+  "ogType",
+  "ogImage",
+  "siteName",
+  "author",
+  "publishedAt",
+  "language",
+  "keywords",
+  "schemaType",
+  "headline",
+];
+
+/**
+ * Clean up the optional metadata a page reported
+ * URLs are redacted like the page URL, dates normalized to ISO, and
+ * empty or unusable values dropped
+ * @param {Object} metadata - Result of scrapePageContext
+ * @returns {Object} Only the fields that have a value
+ */
+function cleanPageMetadata(metadata) {
+  const cleanUrl = (value) =>
+    /^https?:\/\//.test(value || "") ? redactSensitiveUrl(value) : "";
+  const publishedMs = Date.parse(metadata.publishedAt || "");
+
+  const cleaned = {
+    canonicalUrl: cleanUrl(metadata.canonicalUrl),
+    ogType: sanitizeText(metadata.ogType, 50),
+    ogImage: cleanUrl(metadata.ogImage),
+    siteName: sanitizeText(metadata.siteName, 100),
+    author: sanitizeText(metadata.author, 100),
+    publishedAt: Number.isNaN(publishedMs)
+      ? ""
+      : new Date(publishedMs).toISOString(),
+    language: sanitizeText(metadata.language, 20),
+    keywords: sanitizeText(metadata.keywords, 300),
+    schemaType: sanitizeText(metadata.schemaType, 50),
+    headline: sanitizeText(metadata.headline, 200),
+  };
+
+  return Object.fromEntries(
+    Object.entries(cleaned).filter(([, value]) => value),
+  );
+}
+
+// ============================================
+// ENGAGEMENT SIGNALS (see engagement.js)
+// ============================================
+
+/**
+ * Check whether the user turned on engagement tracking in Settings
+ * @returns {Promise<boolean>}
+ */
+async function isEngagementTrackingEnabled() {
+  const data = await chrome.storage.local.get("engagementTracking");
+  return !!data.engagementTracking;
+}
+
+/**
+ * This function runs INSIDE the webpage context
+ * Returns the engagement counters and resets them
+ */
+function collectEngagement() {
+  return window.__echoEngagement?.collect() ?? null;
+}
+
+/**
+ * Combine engagement measured over two stretches of one session
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Object|null}
+ */
+function mergeEngagement(a, b) {
+  if (!a || !b) return a || b;
+  return {
+    scrollDepth: Math.max(a.scrollDepth, b.scrollDepth),
+    interactionTime: a.interactionTime + b.interactionTime,
+    visibleTime: a.visibleTime + b.visibleTime,
+    mediaPlayed: a.mediaPlayed || b.mediaPlayed,
+  };
+}
+
+/**
+ * Start measuring engagement in a tab (if enabled)
+ * @param {number} tabId
+ */
+async function injectEngagementScript(tabId) {
+  if (!(await isEngagementTrackingEnabled())) return;
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ["engagement.js"],
+    });
+  } catch (err) {
+    // Script injection fails on restricted pages
+    logger.debug("Engagement script not injected", { error: err.message });
+  }
+}
+
+/**
+ * Collect the engagement measured for the current session
+ * @returns {Promise<Object|null>} Null if tracking is off or nothing was measured
+ */
+async function takeEngagement() {
+  if (!currentTabId || !(await isEngagementTrackingEnabled())) return null;
+
+  let collected = null;
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: currentTabId },
+      func: collectEngagement,
+    });
+    collected = results?.[0]?.result || null;
+  } catch (err) {
+    // Tab closed or page not injectable
+  }
+
+  return mergeEngagement(pendingEngagement, collected);
+}
+
+// ============================================
+// MAIN-CONTENT CAPTURE (opt-in per domain)
+// ============================================
+
+/**
+ * This function runs INSIDE the webpage context
+ * Readability-style extraction: finds the main content root (article/main,
+ * or the element holding the most paragraph text) and returns its leaf
+ * headings and text blocks, skipping navigation, comments and the like
+ * @param {number} maxBlocks - Stop after this many blocks
+ * @returns {{href: string, blocks: Array<{text: string, heading?: number}>}}
+ *   The page's URL, so text of a page the tab has since moved on to is dropped
+ */
+function extractMainContent(maxBlocks) {
+  const BOILERPLATE =
+    /comment|sidebar|footer|nav|menu|promo|share|social|related|advert|banner|cookie|newsletter|subscribe/i;
+  const BLOCKS = "h1, h2, h3, h4, h5, h6, p, li, pre, blockquote";
+
+  let root =
+    document.querySelector("article") ||
+    document.querySelector("main, [role='main']");
+
+  if (!root) {
+    // Score parents (and, at half weight, grandparents) by paragraph text
+    const scores = new Map();
+    document.querySelectorAll("p").forEach((p) => {
+      const length = p.innerText.trim().length;
+      if (length < 25 || !p.parentElement) return;
+      const parent = p.parentElement;
+      scores.set(parent, (scores.get(parent) || 0) + length);
+      if (parent.parentElement) {
+        const grandparent = parent.parentElement;
+        scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+      }
+    });
+    root =
+      [...scores.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ||
+      document.body;
+  }
+
+  const isBoilerplate = (el) => {
+    for (let node = el; node && node !== root; node = node.parentElement) {
+      if (/^(NAV|ASIDE|FOOTER|FORM)$/.test(node.tagName)) return true;
+      if (BOILERPLATE.test(`${node.id} ${node.getAttribute("class") || ""}`)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const blocks = [];
+  for (const el of root.querySelectorAll(BLOCKS)) {
+    if (blocks.length >= maxBlocks) break;
+
+    // Leaf blocks only, so nested lists/quotes aren't read twice
+    if (el.querySelector(BLOCKS) || isBoilerplate(el)) continue;
+
+    const style = getComputedStyle(el);
+    if (style.display === "none" || style.visibility === "hidden") continue;
+
+    const text = el.innerText.trim();
+    if (!text) continue;
+
+    const heading = /^H([1-6])$/.exec(el.tagName);
+    blocks.push(heading ? { text, heading: Number(heading[1]) } : { text });
+  }
+
+  return { href: location.href, blocks };
+}
+
+/**
+ * Turn extracted blocks into capped, sanitized text
+ * Headings become "#"-prefixed lines and blocks are separated by blank
+ * lines; URLs in the text are redacted like page URLs
+ * @param {Array<{text: string, heading?: number}>} blocks
+ * @returns {string}
+ */
+function formatContent(blocks) {
+  let content = "";
+
+  for (const block of blocks) {
+    const text = block.heading
+      ? `${"#".repeat(block.heading)} ${sanitizeText(block.text, 300)}`
+      : sanitizeText(block.text, CONTENT_CAPTURE_MAX_CHARS);
+    if (!text) continue;
+
+    const next = content ? `${content}\n\n${text}` : text;
+    if (next.length > CONTENT_CAPTURE_MAX_CHARS) {
+      content = next.substring(0, CONTENT_CAPTURE_MAX_CHARS) + "...";
+      break;
+    }
+    content = next;
+  }
+
+  return redactUrlsInText(content);
+}
+
+/**
+ * Capture the readable text of the current page, if its domain is opted in
+ * and the session was engaged enough (see CONTENT_CAPTURE_* in config.js)
+ * @param {number} endTime - When the session ends (ms)
+ * @param {Object|null} engagement - Engagement measured for the session
+ * @returns {Promise<string|null>}
+ */
+async function captureContent(endTime, engagement) {
+  if (!currentTabId || contentCapturedFor === sessionId) return null;
+  if (!isContentCaptureDomain(extractDomain(currentUrl))) return null;
+
+  const activeSeconds =
+    (endTime - lastActiveTime - getIdleMs(idleMs, idleStartedAt, endTime)) /
+    1000;
+  if (activeSeconds < CONTENT_CAPTURE_MIN_ACTIVE) return null;
+  if (engagement && engagement.scrollDepth < CONTENT_CAPTURE_MIN_SCROLL) {
+    return null;
+  }
+
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: currentTabId },
+      func: extractMainContent,
+      args: [CONTENT_CAPTURE_MAX_BLOCKS],
+    });
+    const result = results?.[0]?.result;
+
+    // By the time a tab change ends the session, the tab may already show
+    // the next page - whose domain was never checked above
+    if (!result || !isSameVisit(result.href, currentUrl)) {
+      logger.debug("Tab left the page - content not captured");
+      return null;
+    }
+
+    const content = formatContent(result.blocks || []);
+    if (!content) return null;
+
+    contentCapturedFor = sessionId;
+    logger.debug("Captured page content", { length: content.length });
+    return content;
+  } catch (err) {
+    // Tab closed, navigated away or page not injectable
+    logger.debug("Content capture failed", { error: err.message });
+    return null;
+  }
+}
+
+// ============================================
+// NAVIGATION TRAIL (webNavigation events)
+// ============================================
+// The latest top-level navigation of each tab is kept until a session
+// starts on that page and takes it. Sessions that start without one -
+// switching back to an open tab, returning from idle - are "return" visits.
+// Kept in chrome.storage.session: a tab opened in the background may only
+// be looked at long after the worker was suspended.
+
+const NAVIGATIONS_KEY = "pendingNavigations";
+
+const RETURN_NAVIGATION = {
+  transition: "return",
+  redirected: false,
+  openerSessionId: null,
+};
+
+// Pending navigations by tab ID (a promise, so concurrent events share one load)
+let pendingNavigations = null;
+
+/**
+ * Apply a change to the pending navigations and persist it
+ * @param {function(Object): boolean|void} update - Mutates the map in place;
+ *   return false when nothing changed
+ */
+async function updatePendingNavigations(update) {
+  pendingNavigations ??= chrome.storage.session
+    .get(NAVIGATIONS_KEY)
+    .then((data) => data[NAVIGATIONS_KEY] || {})
+    .catch(() => ({}));
+
+  const pending = await pendingNavigations;
+  if (update(pending) === false) return;
+
+  try {
+    await chrome.storage.session.set({ [NAVIGATIONS_KEY]: pending });
+  } catch (e) {
+    logger.warn("Failed to save navigation", { error: e.message });
+  }
+}
+
+/**
+ * Reduce Chrome's transition type and qualifiers to how the user got there
+ * @param {string} transitionType - webNavigation transition type
+ * @param {string[]} qualifiers - webNavigation transition qualifiers
+ * @returns {"link"|"typed"|"bookmark"|"form_submit"|"reload"|"back_forward"|"other"}
+ */
+function describeTransition(transitionType, qualifiers) {
+  if (qualifiers.includes("forward_back")) return "back_forward";
+  if (qualifiers.includes("from_address_bar")) return "typed";
+
+  switch (transitionType) {
+    case "link":
+    case "manual_subframe":
+      return "link";
+    case "typed":
+    case "generated":
+    case "keyword":
+    case "keyword_generated":
+      return "typed";
+    case "auto_bookmark":
+      return "bookmark";
+    case "form_submit":
+      return "form_submit";
+    case "reload":
+      return "reload";
+    default:
+      // start_page, auto_toplevel...
+      return "other";
+  }
+}
+
+/**
+ * Take the pending navigation of a tab, if it led to the given page
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Page the session is starting on
+ * @returns {Promise<{transition: string, redirected: boolean, openerSessionId: string|null}|null>}
+ *   Null if the page was not reached by a recorded navigation
+ */
+async function takeNavigation(tabId, url) {
+  let taken = null;
+  await updatePendingNavigations((pending) => {
+    if (!pending[tabId]) return false;
+    if (pending[tabId].url && isSameVisit(pending[tabId].url, url)) {
+      taken = pending[tabId];
+    }
+    delete pending[tabId];
+  });
+
+  if (!taken) return null;
+  return {
+    transition: taken.transition,
+    redirected: taken.redirected,
+    openerSessionId: taken.openerSessionId,
+  };
+}
+
+// ============================================
+// SESSION NOTES (entered in the popup)
+// ============================================
+
+/**
+ * Clean up tags typed by the user: lowercase, no leading "#", spaces as
+ * dashes, no duplicates, capped in length and number
+ * @param {string[]} list - Tags as entered
+ * @returns {string[]}
+ */
+function cleanTags(list) {
+  const cleaned = (Array.isArray(list) ? list : [])
+    .filter((tag) => typeof tag === "string")
+    .map((tag) =>
+      tag
+        .trim()
+        .replace(/^#+\s*/, "")
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .slice(0, SESSION_TAG_MAX_CHARS),
+    )
+    .filter(Boolean);
+  return [...new Set(cleaned)].slice(0, SESSION_MAX_TAGS);
+}
+
 // ============================================
 // PUBLIC API
 // ============================================
@@ -70,10 +674,7 @@ function scrapePageContext() {
  */
 export async function startSession(tabId) {
   if (!tabId) {
-    currentUrl = "";
-    currentTabId = null;
-    currentMetadata = { title: "", description: "" };
-    lastActiveTime = Date.now();
+    await resetSession();
     return;
   }
 
@@ -86,15 +687,22 @@ export async function startSession(tabId) {
       // Skip blacklisted domains
       if (isBlacklistedDomain(domain)) {
         logger.debug("Skipping blacklisted domain", { domain });
-        currentUrl = "";
-        currentTabId = null;
-        currentMetadata = { title: "", description: "" };
+        await resetSession();
         return;
       }
 
       currentUrl = tab.url;
       currentTabId = tabId;
+      sessionId = generateEntryId();
+      chunkIndex = 0;
       lastActiveTime = Date.now();
+      visitStartTime = lastActiveTime;
+      note = "";
+      tags = [];
+      navigation = (await takeNavigation(tabId, tab.url)) || {
+        ...RETURN_NAVIGATION,
+      };
+      previousSessionId = lastLoggedSessionId;
 
       // Scrape page context
       try {
@@ -115,105 +723,265 @@ export async function startSession(tabId) {
         currentMetadata = { title: tab.title || "", description: "" };
         logger.debug("Scrape fallback to tab.title", { error: err.message });
       }
+
+      await injectEngagementScript(tabId);
+      await checkpointSession();
     } else {
-      currentUrl = "";
-      currentTabId = null;
-      currentMetadata = { title: "", description: "" };
+      await resetSession();
     }
   } catch (e) {
     logger.warn("Failed to start session", { error: e.message });
-    currentUrl = "";
-    currentTabId = null;
-    currentMetadata = { title: "", description: "" };
+    await resetSession();
   }
 }
 
 /**
- * End the current session and save to buffer
- * @returns {Promise<Object|null>} Log entry or null if too short
+ * Save a finished session (or one chunk of it) to the buffer
+ * Only a visit's first chunk is held to minDuration - once a visit has
+ * logged a chunk, its remaining chunks are kept so the final one arrives
+ * @param {{url: string, metadata: Object, sessionId?: string|null, chunkIndex?: number, previousSessionId?: string|null, navigation?: Object|null, transitions?: string[], note?: string, tags?: string[], startTime: number, idleMs?: number, idleStartedAt?: number|null, engagement?: Object|null, content?: string|null}} session
+ * @param {number} endTime - When the session (chunk) ended (ms)
+ * @param {{truncated?: boolean, isFinalChunk?: boolean}} options -
+ *   truncated: cut short at a sleep gap; isFinalChunk: the visit ends here
+ * @returns {Promise<Object|null>} Log entry or null if too short/invalid
  */
-export async function endSession() {
-  const now = Date.now();
-  const duration = (now - lastActiveTime) / 1000;
+async function saveSession(
+  {
+    url,
+    metadata,
+    sessionId = null,
+    chunkIndex = 0,
+    previousSessionId = null,
+    navigation = null,
+    transitions = [],
+    note = "",
+    tags = [],
+    startTime,
+    idleMs = 0,
+    idleStartedAt = null,
+    engagement = null,
+    content = null,
+  },
+  endTime,
+  { truncated = false, isFinalChunk = true } = {},
+) {
+  const duration = (endTime - startTime) / 1000;
+  const idleSeconds = getIdleMs(idleMs, idleStartedAt, endTime) / 1000;
 
   if (
-    !currentUrl ||
-    duration < MIN_DURATION ||
-    !currentUrl.startsWith("http")
+    !url ||
+    (chunkIndex === 0 && duration < getTimingSettings().minDuration) ||
+    !url.startsWith("http")
   ) {
     logger.debug("Session too short or invalid, not saving", {
       duration: Math.round(duration),
-      url: currentUrl ? currentUrl.substring(0, 50) : "none",
+      url: url ? url.substring(0, 50) : "none",
     });
-
-    // Reset state
-    currentUrl = "";
-    currentTabId = null;
-    currentMetadata = { title: "", description: "" };
-    lastActiveTime = Date.now();
     return null;
   }
 
-  const domain = extractDomain(currentUrl);
+  const domain = extractDomain(url);
 
   // Check blacklist one more time
   if (isBlacklistedDomain(domain)) {
     logger.debug("Skipping blacklisted domain", { domain });
-    currentUrl = "";
-    currentTabId = null;
-    currentMetadata = { title: "", description: "" };
-    lastActiveTime = Date.now();
     return null;
   }
 
+  const id = generateEntryId();
   const logEntry = {
-    url: redactSensitiveUrl(currentUrl),
+    id,
+    sessionId: sessionId || id,
+    chunkIndex,
+    isFinalChunk,
+    previousSessionId,
+    navigation,
+    ...(transitions.length ? { transitions } : {}),
+    url: redactSensitiveUrl(url),
     domain: domain,
-    title: sanitizeText(currentMetadata.title, 200),
-    description: sanitizeText(currentMetadata.description, 500),
-    startTime: lastActiveTime,
-    endTime: now,
+    title: sanitizeText(metadata.title, 200),
+    description: sanitizeText(metadata.description, 500),
+    ...cleanPageMetadata(metadata),
+    ...(content ? { content } : {}),
+    ...(note ? { note } : {}),
+    ...(tags.length ? { tags } : {}),
+    startTime,
+    endTime,
     duration: Math.round(duration),
-    timestamp: new Date().toISOString(),
+    activeDuration: Math.round(duration - idleSeconds),
+    idleDuration: Math.round(idleSeconds),
+    truncated,
+    engagement,
+    timestamp: new Date(endTime).toISOString(),
   };
 
   await addEntry(logEntry);
   await refreshBadge();
+  await setLastLoggedSession(logEntry.sessionId);
 
   logger.info("Ended session", {
     domain: logEntry.domain,
     duration: logEntry.duration,
+    idleDuration: logEntry.idleDuration,
+    chunkIndex,
+    isFinalChunk,
+    truncated,
   });
 
+  return logEntry;
+}
+
+/**
+ * End the current session and save to buffer
+ * Sessions spanning a sleep gap are cut at the last moment the tracker was
+ * known to be alive and tagged as truncated, so sleep time is never counted
+ * (a truncated entry always ends the visit)
+ * @param {number} endTime - When the session ended (ms); pass an earlier
+ *   time to backdate the end, e.g. to when the user went idle
+ * @param {{isFinalChunk?: boolean}} options - Pass isFinalChunk: false when
+ *   the visit continues in a new chunk
+ * @returns {Promise<Object|null>} Log entry or null if too short
+ */
+export async function endSession(
+  endTime = Date.now(),
+  { isFinalChunk = true } = {},
+) {
+  await whenRecovered();
+
+  const truncated = !!currentUrl && isSleepGap(lastSeenAt, endTime);
+  if (truncated) {
+    logger.warn("Sleep gap detected - cutting session short", {
+      lastSeenAt: new Date(lastSeenAt).toISOString(),
+      gapMinutes: Math.round((endTime - lastSeenAt) / 60000),
+    });
+    endTime = lastSeenAt;
+  }
+
+  const engagement = currentUrl ? await takeEngagement() : null;
+  const content = currentUrl
+    ? await captureContent(Math.max(endTime, lastActiveTime), engagement)
+    : null;
+
+  const logEntry = await saveSession(
+    {
+      url: currentUrl,
+      metadata: currentMetadata,
+      sessionId,
+      chunkIndex,
+      previousSessionId,
+      navigation,
+      transitions,
+      note,
+      tags,
+      startTime: lastActiveTime,
+      idleMs,
+      idleStartedAt,
+      engagement,
+      content,
+    },
+    Math.max(endTime, lastActiveTime),
+    { truncated, isFinalChunk: isFinalChunk || truncated },
+  );
+
+  const unloggedTransitions = transitions;
+
   // Reset state
-  currentUrl = "";
-  currentTabId = null;
-  currentMetadata = { title: "", description: "" };
-  lastActiveTime = Date.now();
+  await resetSession();
+
+  // The page's counters were reset by collecting them - a chunk too short
+  // to log hands them (and its transitions) on to the next chunk of the visit
+  if (!logEntry && !isFinalChunk && !truncated) {
+    pendingEngagement = engagement;
+    transitions = unloggedTransitions;
+  }
 
   return logEntry;
 }
 
+/**
+ * Check whether there was no input at all since the current chunk started
+ * The user may be drifting into idle: the idle event only fires
+ * idleThreshold seconds after the last input
+ * @returns {Promise<boolean>}
+ */
+async function hasNoInputSinceChunkStart() {
+  const seconds = Math.floor((Date.now() - lastActiveTime) / 1000);
+  if (seconds < MIN_IDLE_QUERY_SECONDS) return false;
+
+  try {
+    return (await chrome.idle.queryState(seconds)) !== "active";
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * End current session and immediately restart on the same tab
- * This creates "chunks" of long sessions for periodic syncing
- * @returns {Promise<Object|null>} Log entry from ended session, or null if too short
+ * This creates "chunks" of long sessions for periodic syncing. Chunks of
+ * one visit share its session ID; a chunk cut at a sleep gap ends the
+ * visit and tracking restarts as a new one.
+ * A chunk without any input is held back (the session just continues):
+ * if the idle event follows, endSession/markIdle can then backdate to
+ * the last input instead of it having been logged as active time
+ * @returns {Promise<Object|null>} Log entry from ended session, or null if
+ *   too short or held back
  */
 export async function endAndRestartSession() {
+  await whenRecovered();
+  if (
+    currentUrl &&
+    idleStartedAt === null &&
+    !isSleepGap(lastSeenAt, Date.now()) &&
+    (await hasNoInputSinceChunkStart())
+  ) {
+    logger.debug("No input since the chunk started - holding it back");
+    await checkpointSession();
+    return null;
+  }
+
   const savedTabId = currentTabId;
   const savedUrl = currentUrl;
   const savedMetadata = { ...currentMetadata };
+  const savedSessionId = sessionId;
+  const savedChunkIndex = chunkIndex;
+  const savedVisitStartTime = visitStartTime;
+  const savedNote = note;
+  const savedTags = tags;
+  const savedNavigation = navigation;
+  const savedPreviousSessionId = previousSessionId;
+  const wasIdle = idleStartedAt !== null;
 
-  // End the current session
-  const logEntry = await endSession();
+  // End the current chunk
+  const logEntry = await endSession(Date.now(), { isFinalChunk: false });
 
   // If there was an active session, restart tracking on the same tab
   if (savedTabId && savedUrl) {
     currentTabId = savedTabId;
     currentUrl = savedUrl;
     currentMetadata = savedMetadata;
+    note = savedNote;
+    tags = savedTags;
     lastActiveTime = Date.now();
 
+    if (logEntry?.truncated) {
+      // Back after a sleep: a new visit following the one that was cut
+      sessionId = generateEntryId();
+      chunkIndex = 0;
+      visitStartTime = lastActiveTime;
+      navigation = { ...RETURN_NAVIGATION };
+      previousSessionId = logEntry.sessionId;
+    } else {
+      // A chunk too short to log leaves its index to the next one
+      sessionId = savedSessionId;
+      chunkIndex = logEntry ? savedChunkIndex + 1 : savedChunkIndex;
+      visitStartTime = savedVisitStartTime;
+      navigation = savedNavigation;
+      previousSessionId = savedPreviousSessionId;
+    }
+
+    idleStartedAt = wasIdle ? lastActiveTime : null;
+    await checkpointSession();
+
     logger.debug("Restarted session (chunking)", {
       url: savedUrl.substring(0, 50),
     });
@@ -227,6 +995,7 @@ export async function endAndRestartSession() {
  * @param {number|null} newTabId - New tab ID or null to just end
  */
 export async function handleTabChange(newTabId) {
+  await whenRecovered();
   const now = Date.now();
   let newTab = null;
 
@@ -239,26 +1008,12 @@ export async function handleTabChange(newTabId) {
     }
   }
 
-  // Check if we are still on the same URL (e.g. spurious onUpdated event)
-  let isSameSession = false;
-  if (newTabId && currentTabId === newTabId && newTab) {
-    if (newTab.url === currentUrl) {
-      isSameSession = true;
-    } else if (
-      currentUrl &&
-      currentUrl.includes("youtube.com/watch") &&
-      newTab.url.includes("youtube.com/watch")
-    ) {
-      // Smart check for YouTube: same video ID means same session
-      try {
-        const u1 = new URL(currentUrl);
-        const u2 = new URL(newTab.url);
-        if (u1.searchParams.get("v") === u2.searchParams.get("v")) {
-          isSameSession = true;
-        }
-      } catch (e) {}
-    }
-  }
+  // Check if we are still on the same page (e.g. spurious onUpdated event,
+  // or only tracking params / the fragment changed - see urlRules.js)
+  const isSameSession =
+    !!newTab &&
+    currentTabId === newTabId &&
+    isSameVisit(newTab.url, currentUrl);
 
   if (isSameSession) {
     // We can update metadata here if we want, but do NOT reset the timer or end the session
@@ -266,8 +1021,22 @@ export async function handleTabChange(newTabId) {
       url: currentUrl.substring(0, 50),
     });
 
+    // Reloads and in-page navigations don't start a new visit, but are
+    // noted on the current chunk
+    const taken = await takeNavigation(newTabId, newTab.url);
+    if (taken) {
+      transitions = [...transitions, taken.transition];
+      await checkpointSession();
+    }
+
     // If the page has finished loading, try to grab better metadata
     if (newTab && newTab.status === "complete") {
+      // A reload or new document of the same page starts without the
+      // engagement script - keep what was measured so far and re-inject
+      pendingEngagement = await takeEngagement();
+      await injectEngagementScript(newTabId);
+      await checkpointSession();
+
       try {
         const results = await chrome.scripting.executeScript({
           target: { tabId: newTabId },
@@ -276,6 +1045,7 @@ export async function handleTabChange(newTabId) {
 
         if (results?.[0]?.result && results[0].result.title) {
           currentMetadata = results[0].result;
+          await checkpointSession();
         }
       } catch (err) {
         /* ignore injection errors on same-session updates */
@@ -299,6 +1069,257 @@ export async function handleTabChange(newTabId) {
   await startSession(newTabId);
 }
 
+/**
+ * Pick up a session checkpointed by a previous service-worker instance
+ * Resumes it if its tab is still active, focused and the user isn't idle;
+ * otherwise logs it as ended (see below for the end time). After a sleep
+ * gap the old session is always cut and a fresh one started.
+ * Runs once per worker; later calls return the same promise.
+ * @returns {Promise<"resumed"|"closed"|null>} What happened to the session
+ */
+export function recoverSession() {
+  recovery ??= restoreCheckpoint();
+  return recovery;
+}
+
+/**
+ * Wait for recoverSession to finish, if it was started
+ */
+async function whenRecovered() {
+  if (recovery) await recovery.catch(() => {});
+}
+
+/**
+ * Restore or close out the checkpointed session (see recoverSession)
+ * @returns {Promise<"resumed"|"closed"|null>}
+ */
+async function restoreCheckpoint() {
+  let saved;
+  try {
+    const data = await chrome.storage.session.get([
+      CHECKPOINT_KEY,
+      LAST_SESSION_KEY,
+    ]);
+    saved = data[CHECKPOINT_KEY];
+    lastLoggedSessionId ??= data[LAST_SESSION_KEY] || null;
+  } catch (e) {
+    logger.warn("Failed to read session checkpoint", { error: e.message });
+    return null;
+  }
+
+  if (!saved?.url) return null;
+
+  let canResume = false;
+  try {
+    const tab = await chrome.tabs.get(saved.tabId);
+    const window = await chrome.windows.get(tab.windowId);
+    const idleState = await chrome.idle.queryState(
+      getTimingSettings().idleThreshold,
+    );
+
+    canResume =
+      tab.active &&
+      isSameVisit(tab.url, saved.url) &&
+      window.focused &&
+      idleState === "active";
+  } catch (e) {
+    // Tab or window is gone
+  }
+
+  const slept = isSleepGap(saved.lastSeenAt, Date.now());
+
+  // A tab event may have started a new session while we were checking
+  if (canResume && !slept && !currentUrl) {
+    currentTabId = saved.tabId;
+    currentUrl = saved.url;
+    currentMetadata = saved.metadata;
+    sessionId = saved.sessionId || null;
+    chunkIndex = saved.chunkIndex || 0;
+    visitStartTime = saved.visitStartTime || saved.startTime;
+    note = saved.note || "";
+    tags = saved.tags || [];
+    navigation = saved.navigation || null;
+    previousSessionId = saved.previousSessionId || null;
+    transitions = saved.transitions || [];
+    lastActiveTime = saved.startTime;
+    idleMs = saved.idleMs || 0;
+    idleStartedAt = saved.idleStartedAt || null;
+    pendingEngagement = saved.engagement || null;
+    contentCapturedFor = saved.contentCapturedFor || null;
+    await checkpointSession();
+
+    logger.info("Resumed session after worker restart", {
+      url: saved.url.substring(0, 50),
+    });
+    return "resumed";
+  }
+
+  // Had the session still been running at the next chunk alarm, that alarm
+  // would have woken the worker and resumed it - so it ended before then
+  const endTime = slept
+    ? saved.lastSeenAt
+    : Math.min(
+        Date.now(),
+        saved.lastSeenAt + getTimingSettings().syncInterval * 60000,
+      );
+
+  await saveSession(saved, endTime, { truncated: slept });
+
+  if (canResume && slept && !currentUrl) {
+    await startSession(saved.tabId);
+  } else if (!currentUrl) {
+    await checkpointSession();
+  }
+
+  logger.info("Closed session orphaned by worker restart", {
+    url: saved.url.substring(0, 50),
+    endedAt: new Date(endTime).toISOString(),
+    truncated: slept,
+  });
+  return "closed";
+}
+
+/**
+ * Note that the user went idle while the session is kept alive
+ * (e.g. media is playing), so the span is counted as idle time
+ * @param {number} since - When the user went idle (ms)
+ */
+export async function markIdle(since) {
+  await whenRecovered();
+  if (!currentUrl || idleStartedAt !== null) return;
+
+  idleStartedAt = Math.max(since, lastActiveTime);
+  await checkpointSession();
+}
+
+/**
+ * Note that the user is active again, closing any open idle span
+ */
+export async function markActive() {
+  await whenRecovered();
+  if (idleStartedAt === null) return;
+
+  idleMs += Math.max(Date.now() - idleStartedAt, 0);
+  idleStartedAt = null;
+  await checkpointSession();
+}
+
+/**
+ * Keep engagement reported by a page as it unloaded
+ * Ignored unless it comes from the page the current session is tracking
+ * @param {number} tabId - Tab the report came from
+ * @param {string} url - URL of the page that unloaded
+ * @param {Object} engagement - Counters measured since the last collection
+ */
+export async function addEngagementReport(tabId, url, engagement) {
+  await whenRecovered();
+  if (!engagement || tabId !== currentTabId || !isSameVisit(url, currentUrl)) {
+    return;
+  }
+  pendingEngagement = mergeEngagement(pendingEngagement, engagement);
+  await checkpointSession();
+}
+
+/**
+ * Attach the user's note and tags to the current session
+ * They are written to every log entry of the visit from then on
+ * @param {string} forSessionId - Session the popup was showing; the change
+ *   is dropped if tracking has moved on since
+ * @param {{note?: string, tags?: string[]}} annotation - Fields to replace
+ * @returns {Promise<{note: string, tags: string[]}|null>} What was saved
+ *   (cleaned up), or null if that session is no longer current
+ */
+export async function annotateSession(forSessionId, annotation = {}) {
+  await whenRecovered();
+  if (!currentUrl || !forSessionId || forSessionId !== sessionId) {
+    return null;
+  }
+
+  if (annotation.note !== undefined) {
+    note = redactUrlsInText(
+      sanitizeText(String(annotation.note), SESSION_NOTE_MAX_CHARS),
+    );
+  }
+  if (annotation.tags !== undefined) {
+    tags = cleanTags(annotation.tags);
+  }
+  await checkpointSession();
+
+  logger.debug("Session annotated", {
+    noteLength: note.length,
+    tags: tags.length,
+  });
+  return { note, tags };
+}
+
+/**
+ * Record a top-level navigation (webNavigation onCommitted and in-page
+ * updates)
+ * A client redirect continues the navigation that led to it, and the first
+ * page of a new tab keeps how the tab was opened
+ * @param {{tabId: number, frameId: number, url: string, transitionType: string, transitionQualifiers?: string[]}} details
+ */
+export async function recordNavigation({
+  tabId,
+  frameId,
+  url,
+  transitionType,
+  transitionQualifiers = [],
+}) {
+  if (frameId !== 0 || !url || isSystemUrl(url)) return;
+
+  const redirected =
+    transitionQualifiers.includes("client_redirect") ||
+    transitionQualifiers.includes("server_redirect");
+
+  await updatePendingNavigations((pending) => {
+    const previous = pending[tabId];
+    const continues =
+      previous &&
+      (transitionQualifiers.includes("client_redirect") ||
+        (previous.transition === "new_tab" && !previous.url));
+
+    pending[tabId] = continues
+      ? { ...previous, url, redirected: previous.redirected || redirected }
+      : {
+          url,
+          transition: describeTransition(transitionType, transitionQualifiers),
+          redirected,
+          openerSessionId: null,
+        };
+  });
+}
+
+/**
+ * Record a tab opened from another one (webNavigation onCreatedNavigationTarget)
+ * @param {{sourceTabId: number, tabId: number}} details
+ */
+export async function recordNewTab({ sourceTabId, tabId }) {
+  // Only the tracked tab's session is known; it may still turn out too
+  // short to be logged
+  const openerSessionId = sourceTabId === currentTabId ? sessionId : null;
+
+  await updatePendingNavigations((pending) => {
+    pending[tabId] = {
+      url: null,
+      transition: "new_tab",
+      redirected: false,
+      openerSessionId,
+    };
+  });
+}
+
+/**
+ * Drop the pending navigation of a closed tab
+ * @param {number} tabId - Tab ID
+ */
+export async function forgetNavigation(tabId) {
+  await updatePendingNavigations((pending) => {
+    if (!pending[tabId]) return false;
+    delete pending[tabId];
+  });
+}
+
 /**
  * Get current session info for status queries
  * @returns {Object} Current session state
@@ -308,6 +1329,13 @@ export function getCurrentSession() {
     tabId: currentTabId,
     url: currentUrl,
     metadata: currentMetadata,
+    sessionId,
+    chunkIndex,
+    visitStartTime,
+    previousSessionId,
+    navigation,
+    note,
+    tags,
     startTime: lastActiveTime,
     duration: (Date.now() - lastActiveTime) / 1000,
   };
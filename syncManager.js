@@ -3,22 +3,62 @@
 // ============================================
 
 import logger from "./logger.js";
-import { getEntries, removeEntries } from "./bufferManager.js";
-import { endAndRestartSession, endSession } from "./sessionTracker.js";
+import {
+  getEntries,
+  removeEntriesUpTo,
+  migrateSequenceNumbers,
+} from "./bufferManager.js";
+import { addDeadLetters, getDeadLetters } from "./deadLetterQueue.js";
+import { encryptPayload } from "./encryption.js";
+import {
+  getActiveDestinations,
+  renderTemplate,
+  PRIMARY_DESTINATION_ID,
+} from "./destinations.js";
+import {
+  endAndRestartSession,
+  endSession,
+  PAGE_METADATA_FIELDS,
+} from "./sessionTracker.js";
 import {
   isOnline,
   calculateBackoff,
   getClientId,
   refreshBadge,
+  getApiUrl,
+  getTimingSettings,
+  gzip,
 } from "./utils.js";
-import { API_URL, SYNC_INTERVAL } from "./config.js";
+import {
+  SYNC_BATCH_SIZE,
+  MAX_SERVER_RETRY_DELAY,
+  COMPRESS_UPLOADS,
+  COMPRESSION_MIN_BYTES,
+} from "./config.js";
 
 // ============================================
 // STATE
 // ============================================
-let syncRetryCount = 0;
 let errorCount = 0;
 
+// In-flight sync run, shared by overlapping triggers
+let activeSync = null;
+let syncQueued = false;
+
+// Endpoints that answered 415 to a gzipped body - send them plain JSON instead.
+// Kept in chrome.storage.session so a woken worker doesn't try gzip again.
+const GZIP_UNSUPPORTED_KEY = "gzipUnsupportedUrls";
+
+// Retry/backoff state is persisted per destination so it survives
+// service-worker shutdown and one failing endpoint doesn't hold up the others
+const RETRY_STATE_KEY = "syncRetryState";
+const RETRY_ALARM = "syncRetry";
+const EMPTY_RETRY_STATE = { attempt: 0, nextRetryAt: null, lastError: null };
+
+// Highest buffer `seq` each destination has processed (delivered or
+// dead-lettered); entries leave the buffer once every destination is past them
+const CURSORS_KEY = "deliveryCursors";
+
 // ============================================
 // ALARM SETUP
 // ============================================
@@ -27,13 +67,171 @@ let errorCount = 0;
  * Set up synchronization and session-chunking alarms
  */
 export function setupAlarms() {
-  // Session chunking alarm - ends and restarts sessions every SYNC_INTERVAL
-  chrome.alarms.create("sessionChunk", { periodInMinutes: SYNC_INTERVAL });
+  const { syncInterval } = getTimingSettings();
+
+  // Session chunking alarm - ends and restarts sessions every sync interval
+  chrome.alarms.create("sessionChunk", { periodInMinutes: syncInterval });
 
   // Sync alarm - sends buffered data to server
-  chrome.alarms.create("syncData", { periodInMinutes: SYNC_INTERVAL });
+  chrome.alarms.create("syncData", { periodInMinutes: syncInterval });
+
+  logger.info("Sync alarms configured", { intervalMinutes: syncInterval });
+}
+
+/**
+ * Check whether an alarm is a sync retry alarm (one per destination)
+ * @param {string} name - Alarm name
+ * @returns {boolean}
+ */
+export function isRetryAlarm(name) {
+  return name === RETRY_ALARM || name.startsWith(`${RETRY_ALARM}:`);
+}
+
+/**
+ * Check whether an endpoint has rejected gzipped bodies before
+ * @param {string} url - Full request URL
+ * @returns {Promise<boolean>}
+ */
+async function isGzipUnsupported(url) {
+  try {
+    const data = await chrome.storage.session.get(GZIP_UNSUPPORTED_KEY);
+    return !!data[GZIP_UNSUPPORTED_KEY]?.[url];
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Remember that an endpoint rejects gzipped bodies
+ * @param {string} url - Full request URL
+ */
+async function markGzipUnsupported(url) {
+  try {
+    const data = await chrome.storage.session.get(GZIP_UNSUPPORTED_KEY);
+    await chrome.storage.session.set({
+      [GZIP_UNSUPPORTED_KEY]: { ...data[GZIP_UNSUPPORTED_KEY], [url]: true },
+    });
+  } catch (e) {
+    logger.warn("Failed to save gzip support", { error: e.message });
+  }
+}
 
-  logger.info("Sync alarms configured", { intervalMinutes: SYNC_INTERVAL });
+/**
+ * Load persisted retry states for every destination
+ * Older versions kept a single flat state for the API, which is moved
+ * under the primary destination the first time it is read
+ * @returns {Promise<Object<string, {attempt: number, nextRetryAt: number|null, lastError: string|null}>>}
+ */
+async function loadRetryStates() {
+  const data = await chrome.storage.local.get(RETRY_STATE_KEY);
+  const states = data[RETRY_STATE_KEY] || {};
+
+  if (!("attempt" in states)) return states;
+
+  const { attempt, nextRetryAt, lastError } = states;
+  const migrated = {
+    [PRIMARY_DESTINATION_ID]: { attempt, nextRetryAt, lastError },
+  };
+  await chrome.alarms.clear(RETRY_ALARM);
+  await chrome.storage.local.set({ [RETRY_STATE_KEY]: migrated });
+  if (nextRetryAt) {
+    chrome.alarms.create(`${RETRY_ALARM}:${PRIMARY_DESTINATION_ID}`, {
+      when: nextRetryAt,
+    });
+  }
+  logger.info("Migrated retry state to the primary destination");
+  return migrated;
+}
+
+/**
+ * Load persisted retry state for a destination
+ * @param {string} destinationId - Destination ID
+ * @returns {Promise<{attempt: number, nextRetryAt: number|null, lastError: string|null}>}
+ */
+async function getRetryState(destinationId) {
+  const states = await loadRetryStates();
+  return { ...EMPTY_RETRY_STATE, ...states[destinationId] };
+}
+
+/**
+ * Persist retry state for a destination and arm its retry alarm
+ * @param {string} destinationId - Destination ID
+ * @param {{attempt: number, nextRetryAt: number, lastError: string|null}} state
+ */
+async function setRetryState(destinationId, state) {
+  const states = await loadRetryStates();
+  await chrome.storage.local.set({
+    [RETRY_STATE_KEY]: { ...states, [destinationId]: state },
+  });
+  chrome.alarms.create(`${RETRY_ALARM}:${destinationId}`, {
+    when: state.nextRetryAt,
+  });
+}
+
+/**
+ * Clear retry state and any pending retry alarm for a destination
+ * @param {string} destinationId - Destination ID
+ */
+async function resetRetryState(destinationId) {
+  await chrome.alarms.clear(`${RETRY_ALARM}:${destinationId}`);
+
+  const states = { ...(await loadRetryStates()) };
+  delete states[destinationId];
+  await chrome.storage.local.set({ [RETRY_STATE_KEY]: states });
+}
+
+/**
+ * Clear retry state and pending retry alarms for every destination
+ */
+async function resetAllRetryStates() {
+  const alarms = await chrome.alarms.getAll();
+  for (const alarm of alarms) {
+    if (isRetryAlarm(alarm.name)) await chrome.alarms.clear(alarm.name);
+  }
+  await chrome.storage.local.set({ [RETRY_STATE_KEY]: {} });
+}
+
+/**
+ * Check whether sync is paused until the API key is fixed
+ * @returns {Promise<boolean>}
+ */
+export async function isAuthRequired() {
+  const data = await chrome.storage.local.get("authRequired");
+  return !!data.authRequired;
+}
+
+/**
+ * Pause sync after the server refused the API key (401/403)
+ * The buffer is kept until a working key is saved
+ * @param {number} status - HTTP status that triggered the pause
+ */
+async function enterAuthRequired(status) {
+  await chrome.storage.local.set({
+    authRequired: { status, since: new Date().toISOString() },
+  });
+  await refreshBadge();
+
+  logger.warn("Sync paused - authentication required", { status });
+}
+
+/**
+ * Leave the auth-required state and sync the held buffer
+ * Called once a working API key has been saved
+ */
+export async function resumeAfterAuth() {
+  await chrome.storage.local.remove("authRequired");
+  await refreshBadge();
+
+  logger.info("API key accepted - resuming sync");
+  await syncLogs("auth");
+}
+
+/**
+ * Handle retry alarm - run the sync attempt that was scheduled
+ */
+export async function handleRetryAlarm() {
+  logger.debug("Sync retry alarm fired");
+  await syncLogs("retry");
 }
 
 /**
@@ -44,25 +242,333 @@ export async function handleSessionChunkAlarm() {
   await endAndRestartSession();
 }
 
+// ============================================
+// PAYLOADS & TRANSPORT
+// ============================================
+
+/**
+ * Transform a buffered log entry to the production schema
+ * Highlights (see highlights.js) share the endpoint with type "highlight"
+ * @param {Object} log - Buffered log entry
+ * @param {string} clientId - Unique client ID
+ * @returns {Object} Upload payload
+ */
+function buildPayload(log, clientId) {
+  const source = {
+    type: "chrome-extension",
+    deviceName: "Chrome Extension",
+    clientId: clientId,
+  };
+
+  if (log.type === "highlight") {
+    return {
+      type: "highlight",
+      idempotencyKey: log.id,
+      sessionId: log.sessionId || null,
+      url: log.url,
+      title: log.title || "Untitled",
+      text: log.text,
+      contextBefore: log.contextBefore || "",
+      contextAfter: log.contextAfter || "",
+      timestamp: log.timestamp,
+      source,
+    };
+  }
+
+  return {
+    idempotencyKey: log.id,
+    sessionId: log.sessionId || log.id,
+    chunkIndex: log.chunkIndex ?? 0,
+    isFinalChunk: log.isFinalChunk ?? true,
+    previousSessionId: log.previousSessionId || null,
+    navigation: log.navigation || null,
+    ...(log.transitions?.length ? { transitions: log.transitions } : {}),
+    url: log.url,
+    title: log.title || "Untitled",
+    duration: log.duration,
+    activeDuration: log.activeDuration ?? log.duration,
+    idleDuration: log.idleDuration ?? 0,
+    truncated: !!log.truncated,
+    engagement: log.engagement || null,
+    ...(log.content ? { content: log.content } : {}),
+    ...(log.note ? { note: log.note } : {}),
+    ...(log.tags?.length ? { tags: log.tags } : {}),
+    ...Object.fromEntries(
+      PAGE_METADATA_FIELDS.filter((field) => log[field]).map((field) => [
+        field,
+        log[field],
+      ]),
+    ),
+    timestamp: log.timestamp || new Date(log.startTime).toISOString(),
+    description: log.description || "",
+    source,
+  };
+}
+
+/**
+ * Classify an HTTP status code for a single log entry
+ * @param {number} status - HTTP status code
+ * @returns {"accepted"|"retry"|"auth"|"rejected"}
+ */
+function classifyStatus(status) {
+  if (status >= 200 && status < 300) return "accepted";
+  if (status === 429 || status >= 500) return "retry";
+  if (status === 401 || status === 403) return "auth";
+  return "rejected";
+}
+
+/**
+ * Read how long the server wants us to wait before the next request
+ * Uses Retry-After on failures, and X-RateLimit-Remaining/Reset when the
+ * request budget is exhausted
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Delay in ms, or null if the server did not ask for one
+ */
+function getServerDelay(response) {
+  let delayMs = null;
+
+  const retryAfter = response.headers.get("Retry-After");
+  if (!response.ok && retryAfter) {
+    // Either delta-seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    delayMs = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(retryAfter) - Date.now();
+  }
+
+  const remaining = response.headers.get("X-RateLimit-Remaining");
+  const reset = Number(response.headers.get("X-RateLimit-Reset"));
+  if (delayMs === null && remaining !== null && Number(remaining) <= 0) {
+    if (reset > 0) {
+      // Either an epoch timestamp in seconds or seconds until reset
+      delayMs = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+    }
+  }
+
+  if (delayMs === null || Number.isNaN(delayMs)) return null;
+  return Math.min(Math.max(delayMs, 0), MAX_SERVER_RETRY_DELAY * 60000);
+}
+
+/**
+ * POST a JSON body, gzipped when worthwhile
+ * Retries once uncompressed if the server answers 415 Unsupported Media Type
+ * @param {string} url - Full request URL
+ * @param {string} apiKey - Bearer token (optional for webhooks)
+ * @param {*} data - Value to send as JSON
+ * @returns {Promise<Response>}
+ */
+async function postJson(url, apiKey, data) {
+  const json = JSON.stringify(data);
+  const bytes = new TextEncoder().encode(json).length;
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const shouldCompress =
+    COMPRESS_UPLOADS &&
+    bytes >= COMPRESSION_MIN_BYTES &&
+    typeof CompressionStream !== "undefined" &&
+    !(await isGzipUnsupported(url));
+
+  if (shouldCompress) {
+    const body = await gzip(json);
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Encoding": "gzip" },
+      body,
+    });
+
+    if (response.status !== 415) {
+      logger.debug("Sent compressed body", {
+        bytes,
+        compressedBytes: body.length,
+      });
+      return response;
+    }
+
+    logger.warn("Server rejected gzip - sending uncompressed", { url });
+    await markGzipUnsupported(url);
+  }
+
+  return fetch(url, { method: "POST", headers, body: json });
+}
+
+/**
+ * Upload one batch to an Echo-compatible API and resolve a result per item
+ * @param {Object} destination - Echo destination
+ * @param {Object[]} logs - Buffered log entries
+ * @param {string} clientId - Unique client ID
+ * @returns {Promise<{results: Array<{status: number, error?: string, body?: string}>, serverDelayMs: number|null}>}
+ */
+async function sendToEcho(destination, logs, clientId) {
+  // Never fall back to plaintext - an encryption error aborts the upload
+  const payloads = await Promise.all(
+    logs.map((log) => encryptPayload(buildPayload(log, clientId))),
+  );
+
+  const response = await postJson(
+    `${destination.url}/api/log`,
+    destination.apiKey,
+    payloads,
+  );
+
+  const serverDelayMs = getServerDelay(response);
+
+  // Whole request failed - every item shares the same outcome
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    return {
+      results: payloads.map(() => ({ status: response.status, body: text })),
+      serverDelayMs,
+    };
+  }
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    /* no JSON body - treat the batch as accepted */
+  }
+
+  if (!Array.isArray(body?.results)) {
+    return {
+      results: payloads.map(() => ({ status: response.status })),
+      serverDelayMs,
+    };
+  }
+
+  // Items the server did not report on are retried on the next run
+  return {
+    results: payloads.map(
+      (_, i) => body.results[i] || { status: 503, error: "Missing result" },
+    ),
+    serverDelayMs,
+  };
+}
+
+/**
+ * Post logs one by one to a generic webhook using its JSON template
+ * With encryption on, the template is filled with the encrypted fields
+ * (plus {{encryption}} for the key metadata), as for the Echo API.
+ * Stops at the first retryable or auth failure; unsent items are reported
+ * as retryable
+ * @param {Object} destination - Webhook destination
+ * @param {Object[]} logs - Buffered log entries
+ * @param {string} clientId - Unique client ID
+ * @returns {Promise<{results: Array<{status: number, error?: string, body?: string}>, serverDelayMs: number|null}>}
+ */
+async function sendToWebhook(destination, logs, clientId) {
+  const results = [];
+  let serverDelayMs = null;
+
+  for (const log of logs) {
+    // Never fall back to plaintext - an encryption error aborts the upload
+    const values = await encryptPayload({
+      ...log,
+      timestamp: log.timestamp || new Date(log.startTime).toISOString(),
+      clientId,
+    });
+    const body = renderTemplate(destination.template, values);
+
+    const response = await postJson(destination.url, destination.apiKey, body);
+    serverDelayMs = getServerDelay(response);
+
+    if (response.ok) {
+      results.push({ status: response.status });
+    } else {
+      const text = await response.text().catch(() => "");
+      results.push({ status: response.status, body: text });
+    }
+
+    const outcome = classifyStatus(response.status);
+    if (outcome === "retry" || outcome === "auth" || serverDelayMs !== null) {
+      break;
+    }
+  }
+
+  while (results.length < logs.length) {
+    results.push({ status: 503, error: "Not sent" });
+  }
+
+  return { results, serverDelayMs };
+}
+
+// ============================================
+// SYNC
+// ============================================
+
+/**
+ * Sync logs to server - the single entry point for every trigger
+ * Overlapping calls are coalesced: while a run is in flight, further
+ * requests queue exactly one follow-up run instead of starting another
+ * @param {string} reason - What triggered the sync (for logging)
+ * @returns {Promise<void>} Resolves when the in-flight run (and any follow-up) ends
+ */
+export function syncLogs(reason = "alarm") {
+  if (activeSync) {
+    logger.debug("Sync already running - queued", { reason });
+    syncQueued = true;
+    return activeSync;
+  }
+
+  logger.debug("Sync triggered", { reason });
+
+  activeSync = (async () => {
+    try {
+      do {
+        syncQueued = false;
+        await runSync();
+      } while (syncQueued);
+    } catch (e) {
+      logger.error("Sync run failed", { error: e.message });
+    } finally {
+      activeSync = null;
+    }
+  })();
+
+  return activeSync;
+}
+
+/**
+ * Number entries buffered before sequence numbers existed
+ * Delivery cursors move along with the renumbered entries. A cursor that
+ * never passed a numbered entry starts over: with the old shared 0 it
+ * can't tell which of those entries were delivered.
+ */
+async function migrateBuffer() {
+  const shift = await migrateSequenceNumbers();
+  if (shift === 0) return;
+
+  const data = await chrome.storage.local.get(CURSORS_KEY);
+  const cursors = Object.fromEntries(
+    Object.entries(data[CURSORS_KEY] || {}).map(([id, cursor]) => [
+      id,
+      cursor > 0 ? cursor + shift : -1,
+    ]),
+  );
+  await chrome.storage.local.set({ [CURSORS_KEY]: cursors });
+}
+
 /**
- * Sync logs to server with exponential backoff
- * @param {number} retryAttempt - Current retry attempt
+ * Deliver the buffer to every active destination, then drop the entries
+ * all of them have processed
  */
-export async function syncLogs(retryAttempt = 0) {
+async function runSync() {
   // Check network status first
   if (!isOnline()) {
     logger.warn("Offline - skipping sync");
     return;
   }
 
-  const data = await chrome.storage.local.get("apiKey");
-  const apiKey = data.apiKey;
+  const destinations = await getActiveDestinations();
 
-  if (!apiKey) {
-    logger.warn("No API key configured");
+  if (destinations.length === 0) {
+    logger.debug("Local-only mode - skipping sync");
     return;
   }
 
+  await migrateBuffer();
   const logs = await getEntries();
 
   if (logs.length === 0) {
@@ -73,100 +579,271 @@ export async function syncLogs(retryAttempt = 0) {
   logger.group("Sync Operation");
   logger.time("sync");
 
+  const data = await chrome.storage.local.get(CURSORS_KEY);
+  const cursors = { ...data[CURSORS_KEY] };
   const clientId = await getClientId();
-  const successfulIndices = [];
-  let abortSync = false;
 
-  for (let i = 0; i < logs.length; i++) {
-    if (abortSync) break;
+  for (const destination of destinations) {
+    cursors[destination.id] = await syncDestination(
+      destination,
+      logs,
+      cursors[destination.id] ?? -1,
+      clientId,
+    );
+  }
 
-    const log = logs[i];
+  await chrome.storage.local.set({ [CURSORS_KEY]: cursors });
 
-    // Transform to production schema
-    const payload = {
-      url: log.url,
-      title: log.title || "Untitled",
-      duration: log.duration,
-      timestamp: log.timestamp || new Date(log.startTime).toISOString(),
-      description: log.description || "",
-      source: {
-        type: "chrome-extension",
-        deviceName: "Chrome Extension",
-        clientId: clientId,
-      },
-    };
+  const deliveredThrough = Math.min(...destinations.map((d) => cursors[d.id]));
+  const delivered = logs.filter((log) => log.seq <= deliveredThrough);
+
+  if (delivered.length > 0) {
+    await removeEntriesUpTo(deliveredThrough);
+
+    logger.info("Sync completed", {
+      removed: delivered.length,
+      remaining: logs.length - delivered.length,
+    });
+  }
 
+  await refreshBadge();
+
+  logger.timeEnd("sync");
+  logger.groupEnd();
+}
+
+/**
+ * Deliver pending logs to one destination in batches with exponential backoff
+ * Skipped while its retry is pending (or, for the primary API, while auth
+ * is required)
+ * @param {Object} destination - Resolved destination
+ * @param {Object[]} logs - Current buffer
+ * @param {number} cursor - Highest seq already processed for this destination
+ * @param {string} clientId - Unique client ID
+ * @returns {Promise<number>} Advanced cursor
+ */
+async function syncDestination(destination, logs, cursor, clientId) {
+  const isPrimary = destination.id === PRIMARY_DESTINATION_ID;
+
+  if (isPrimary && (await isAuthRequired())) {
+    logger.debug("Auth required - skipping sync");
+    return cursor;
+  }
+
+  if (
+    !destination.url ||
+    (destination.type === "echo" && !destination.apiKey)
+  ) {
+    logger.warn("Destination not configured - skipping", {
+      destination: destination.name,
+    });
+    return cursor;
+  }
+
+  const retryState = await getRetryState(destination.id);
+
+  if (retryState.nextRetryAt && retryState.nextRetryAt > Date.now()) {
+    logger.debug("Retry pending - skipping destination", {
+      destination: destination.name,
+      attempt: retryState.attempt,
+      nextRetryAt: new Date(retryState.nextRetryAt).toISOString(),
+    });
+    return cursor;
+  }
+
+  const pending = logs.filter((log) => log.seq > cursor);
+  const rejections = [];
+  let retryError = null;
+  let authFailure = null;
+  let serverDelayMs = null;
+
+  for (let i = 0; i < pending.length; i += SYNC_BATCH_SIZE) {
+    const batch = pending.slice(i, i + SYNC_BATCH_SIZE);
+
+    // Entries retried from the dead letter queue only go where they failed
+    const toSend = batch.filter(
+      (log) => !log.destinations || log.destinations.includes(destination.id),
+    );
+
+    let results = [];
     try {
-      const response = await fetch(`${API_URL}/api/log`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify(payload),
+      if (toSend.length > 0) {
+        const send =
+          destination.type === "webhook" ? sendToWebhook : sendToEcho;
+        ({ results, serverDelayMs } = await send(
+          destination,
+          toSend,
+          clientId,
+        ));
+      }
+    } catch (error) {
+      // Network or encryption error - stop syncing this destination
+      logger.error("Sync failed", {
+        destination: destination.name,
+        error: error.message,
       });
+      retryError = error.message;
+      errorCount++;
+      break;
+    }
+
+    // Only advance the cursor over the leading run of processed entries;
+    // everything from the first retryable one on is resent next time
+    // (idempotency keys make that safe)
+    let accepted = 0;
+    let resultIndex = 0;
+
+    for (const log of batch) {
+      if (!toSend.includes(log)) {
+        cursor = log.seq;
+        continue;
+      }
+
+      const result = results[resultIndex++];
+      const outcome = classifyStatus(result.status);
+
+      if (outcome === "retry") {
+        // Temporary failure - keep in buffer for the next attempt
+        retryError = result.error || `HTTP ${result.status}`;
+        break;
+      }
 
-      if (response.ok) {
-        successfulIndices.push(i);
-        logger.debug("Synced log", { title: payload.title });
-        syncRetryCount = 0; // Reset retry on success
-      } else if (response.status === 429 || response.status >= 500) {
-        // Temporary failure - stop syncing and retry later
-        logger.warn("Sync paused (server issue)", { status: response.status });
-        scheduleRetry(retryAttempt);
-        abortSync = true;
+      if (outcome === "auth") {
+        // Credentials refused - keep in buffer until fixed
+        authFailure = result.status;
+        break;
+      }
+
+      if (outcome === "accepted") {
+        accepted++;
       } else {
-        // Permanent failure (400/401) - remove bad log to prevent clogging
+        // Permanent failure (400/422) - park in dead letter queue
         logger.error("Log rejected", {
-          status: response.status,
-          url: payload.url,
+          destination: destination.name,
+          status: result.status,
+          error: result.error,
+          url: log.url,
         });
         errorCount++;
-        successfulIndices.push(i); // Remove bad logs to clear queue
+        rejections.push({
+          entry: log,
+          status: result.status,
+          responseBody: result.body ?? JSON.stringify(result),
+          destinationId: destination.id,
+          destinationName: destination.name,
+        });
       }
-    } catch (error) {
-      // Network error - stop syncing
-      logger.error("Sync failed", { error: error.message });
-      scheduleRetry(retryAttempt);
-      abortSync = true;
-      errorCount++;
+
+      cursor = log.seq;
+    }
+
+    logger.debug("Synced batch", {
+      destination: destination.name,
+      size: batch.length,
+      sent: toSend.length,
+      accepted,
+    });
+
+    if (authFailure || retryError) {
+      logger.warn("Sync paused (server issue)", {
+        destination: destination.name,
+      });
+      break;
+    }
+
+    // Request budget exhausted - wait for the rate limit window to reset
+    if (serverDelayMs !== null) {
+      logger.warn("Sync paused (rate limit reached)", {
+        destination: destination.name,
+        delayMs: serverDelayMs,
+      });
+      break;
     }
   }
 
-  // Remove successful logs from buffer
-  if (successfulIndices.length > 0) {
-    await removeEntries(successfulIndices);
-    await refreshBadge();
+  if (authFailure && isPrimary) {
+    await enterAuthRequired(authFailure);
+  } else if (authFailure) {
+    // Extra destinations have no re-auth flow - back off and keep trying
+    await scheduleRetry(
+      destination.id,
+      retryState.attempt,
+      `HTTP ${authFailure} - check the destination's API key`,
+    );
+  } else if (retryError) {
+    await scheduleRetry(
+      destination.id,
+      retryState.attempt,
+      retryError,
+      serverDelayMs,
+    );
+  } else if (serverDelayMs !== null) {
+    await deferSync(destination.id, serverDelayMs);
+  } else if (retryState.attempt > 0 || retryState.nextRetryAt) {
+    await resetRetryState(destination.id); // Reset retry on success
+  }
 
-    logger.info("Sync batch completed", {
-      synced: successfulIndices.length,
-      remaining: logs.length - successfulIndices.length,
-    });
+  // Keep rejected logs before they leave the buffer
+  if (rejections.length > 0) {
+    await addDeadLetters(rejections);
   }
 
-  logger.timeEnd("sync");
-  logger.groupEnd();
+  return cursor;
 }
 
 /**
  * Schedule a sync retry with exponential backoff
+ * Persists the attempt and uses an alarm so the retry survives worker restarts
+ * @param {string} destinationId - Destination that failed
  * @param {number} attempt - Current attempt number
+ * @param {string} lastError - Reason the attempt failed
+ * @param {number|null} serverDelayMs - Delay requested by the server, if any
  */
-function scheduleRetry(attempt) {
-  const delay = calculateBackoff(attempt);
+async function scheduleRetry(
+  destinationId,
+  attempt,
+  lastError,
+  serverDelayMs = null,
+) {
+  const delay = serverDelayMs ?? calculateBackoff(attempt);
   const nextAttempt = attempt + 1;
 
   logger.info("Scheduling retry", {
+    destinationId,
     attempt: nextAttempt,
     delayMs: delay,
+    serverDirected: serverDelayMs !== null,
+    lastError,
   });
 
-  setTimeout(() => syncLogs(nextAttempt), delay);
-  syncRetryCount = nextAttempt;
+  await setRetryState(destinationId, {
+    attempt: nextAttempt,
+    nextRetryAt: Date.now() + delay,
+    lastError,
+  });
+}
+
+/**
+ * Hold off the next sync until the server's rate limit window resets
+ * Not a failure, so the backoff attempt count is cleared
+ * @param {string} destinationId - Rate-limited destination
+ * @param {number} delayMs - Delay requested by the server
+ */
+async function deferSync(destinationId, delayMs) {
+  logger.info("Deferring sync (rate limit)", { destinationId, delayMs });
+
+  await setRetryState(destinationId, {
+    attempt: 0,
+    nextRetryAt: Date.now() + delayMs,
+    lastError: null,
+  });
 }
 
 /**
  * Force sync - end current session and sync immediately
+ * The primary destination is still skipped while its API key is rejected;
+ * other destinations are synced regardless
+ * @returns {Promise<{authRequired: boolean}>}
  */
 export async function forceSync() {
   logger.info("Force sync triggered");
@@ -174,19 +851,39 @@ export async function forceSync() {
   // End the current session first so it gets into the buffer
   await endSession();
 
-  // Reset retry count and sync
-  syncRetryCount = 0;
-  await syncLogs(0);
+  // Reset retry state and sync
+  await resetAllRetryStates();
+  await syncLogs("manual");
+
+  const authRequired = await isAuthRequired();
+  if (authRequired) {
+    logger.warn("Force sync skipped the API - authentication required");
+  }
+  return { authRequired };
 }
 
 /**
  * Get sync status
- * @returns {Object} Sync status info
+ * Top-level retry fields describe the primary destination
+ * @returns {Promise<Object>} Sync status info
  */
-export function getSyncStatus() {
+export async function getSyncStatus() {
+  const destinations = await getActiveDestinations();
+  const states = await loadRetryStates();
+  const primary = { ...EMPTY_RETRY_STATE, ...states[PRIMARY_DESTINATION_ID] };
+
   return {
-    syncRetryCount,
+    syncRetryCount: primary.attempt,
+    nextRetryAt: primary.nextRetryAt,
+    lastError: primary.lastError,
     errorCount,
+    destinations: destinations.map(({ id, name, type }) => ({
+      id,
+      name,
+      type,
+      ...EMPTY_RETRY_STATE,
+      ...states[id],
+    })),
   };
 }
 
@@ -202,16 +899,19 @@ export async function sendHealthPing() {
   try {
     const platformInfo = await chrome.runtime.getPlatformInfo();
     const manifest = chrome.runtime.getManifest();
+    const deadLetters = await getDeadLetters();
 
     const payload = {
       extensionVersion: manifest.version,
       platform: platformInfo.os,
       arch: platformInfo.arch,
       errorsEncountered: errorCount,
+      deadLetterCount: deadLetters.length,
       timestamp: new Date().toISOString(),
     };
 
-    await fetch(`${API_URL}/api/health`, {
+    const apiUrl = await getApiUrl();
+    await fetch(`${apiUrl}/api/health`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
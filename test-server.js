@@ -1,13 +1,702 @@
 const http = require("http");
+const fs = require("fs");
+const zlib = require("zlib");
+const { webcrypto } = require("crypto");
 
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
 const HEADERS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "OPTIONS, POST, GET",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "OPTIONS, POST, GET, DELETE",
+  "Access-Control-Allow-Headers":
+    "Content-Type, Content-Encoding, Authorization",
+  "Access-Control-Expose-Headers":
+    "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset",
   "Content-Type": "application/json",
 };
 
+// Usage: node test-server.js [mode] [--store=logs.json] [--latency=ms] [--fault-rate=0..1]
+//
+// Modes (switch at runtime with POST /api/_mock/fault):
+//   normal        - accept everything
+//   ratelimit     - allow RATE_LIMIT requests to /api/log per window, then
+//                   answer 429 + Retry-After until the window resets
+//   nogzip        - answer 415 to gzipped bodies to exercise the fallback
+//   error         - answer 500
+//   throttle      - answer 429 + Retry-After
+//   unauthorized  - answer 401
+//   latency       - delay every response by --latency ms (default 5000)
+//   drop          - destroy the connection without answering
+//
+// Set PORT to listen somewhere other than 3000.
+// --fault-rate applies error/throttle/unauthorized/drop to only that share
+// of requests. --store keeps received logs in a JSON file across restarts.
+const ARGS = process.argv.slice(2);
+const MODES = [
+  "normal",
+  "ratelimit",
+  "nogzip",
+  "error",
+  "throttle",
+  "unauthorized",
+  "latency",
+  "drop",
+];
+const RATE_LIMIT = 3;
+const RATE_WINDOW_MS = 60 * 1000;
+const THROTTLE_RETRY_AFTER = 30; // Seconds sent with 429s in "throttle" mode
+const STORE_SAVE_DELAY_MS = 1000; // Batch --store writes within this window
+
+/**
+ * Read a --name=value command line option
+ */
+function getOption(name, fallback) {
+  const arg = ARGS.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+const STORE_FILE = getOption("store", process.env.ECHO_STORE_FILE || "");
+
+// Current fault injection settings
+const fault = {
+  mode: ARGS.find((a) => !a.startsWith("--")) || "normal",
+  rate: Number(getOption("fault-rate", 1)),
+  latencyMs: Number(getOption("latency", 5000)),
+};
+
+/**
+ * Check fault settings before applying them
+ * Returns a list of problems (empty if the settings are valid)
+ */
+function validateFault(settings) {
+  const errors = Object.keys(settings)
+    .filter((key) => !(key in fault))
+    .map((key) => `unknown setting "${key}"`);
+
+  if (settings.mode !== undefined && !MODES.includes(settings.mode)) {
+    errors.push(
+      `unknown mode "${settings.mode}" - use one of: ${MODES.join(", ")}`,
+    );
+  }
+  if (
+    settings.rate !== undefined &&
+    !(
+      typeof settings.rate === "number" &&
+      settings.rate >= 0 &&
+      settings.rate <= 1
+    )
+  ) {
+    errors.push("rate must be a number from 0 to 1");
+  }
+  if (
+    settings.latencyMs !== undefined &&
+    !(Number.isFinite(settings.latencyMs) && settings.latencyMs >= 0)
+  ) {
+    errors.push("latencyMs must be a non-negative number");
+  }
+  return errors;
+}
+
+let rateWindowStart = Date.now();
+let rateWindowCount = 0;
+
+/**
+ * Count a request against the rate limit window
+ * Returns the headers to send and whether the request is over budget
+ */
+function consumeRateLimit() {
+  const now = Date.now();
+  if (now - rateWindowStart >= RATE_WINDOW_MS) {
+    rateWindowStart = now;
+    rateWindowCount = 0;
+  }
+
+  rateWindowCount++;
+  const resetAt = rateWindowStart + RATE_WINDOW_MS;
+  const remaining = Math.max(RATE_LIMIT - rateWindowCount, 0);
+
+  const headers = {
+    "X-RateLimit-Limit": String(RATE_LIMIT),
+    "X-RateLimit-Remaining": String(remaining),
+    "X-RateLimit-Reset": String(Math.ceil(resetAt / 1000)),
+  };
+
+  if (rateWindowCount > RATE_LIMIT) {
+    headers["Retry-After"] = String(Math.ceil((resetAt - now) / 1000));
+    return { headers, limited: true };
+  }
+
+  return { headers, limited: false };
+}
+
+/**
+ * Inject the configured fault into a request
+ * Returns true if the request was answered (or dropped) here
+ */
+async function applyFault(req, res) {
+  if (fault.mode === "latency") {
+    console.log(`🐢 Delaying response by ${fault.latencyMs}ms`);
+    await new Promise((resolve) => setTimeout(resolve, fault.latencyMs));
+    return false;
+  }
+
+  if (!["error", "throttle", "unauthorized", "drop"].includes(fault.mode)) {
+    return false;
+  }
+
+  if (Math.random() >= fault.rate) return false;
+
+  if (fault.mode === "drop") {
+    console.log("💥 Dropping connection");
+    req.socket.destroy();
+    return true;
+  }
+
+  if (fault.mode === "error") {
+    console.log("💥 500 - injected server error");
+    res.writeHead(500, HEADERS);
+    res.end(JSON.stringify({ error: "Internal server error (injected)" }));
+  } else if (fault.mode === "throttle") {
+    console.log(`🛑 429 - retry after ${THROTTLE_RETRY_AFTER}s (injected)`);
+    res.writeHead(429, {
+      ...HEADERS,
+      "Retry-After": String(THROTTLE_RETRY_AFTER),
+    });
+    res.end(JSON.stringify({ error: "Too many requests (injected)" }));
+  } else {
+    console.log("🔒 401 - injected auth failure");
+    res.writeHead(401, HEADERS);
+    res.end(JSON.stringify({ error: "Invalid API key (injected)" }));
+  }
+
+  return true;
+}
+
+// Set ECHO_PASSPHRASE to print decrypted titles/URLs of encrypted logs
+const PASSPHRASE = process.env.ECHO_PASSPHRASE || "";
+
+/**
+ * Decrypt one "enc:v1:<iv>:<ciphertext>" field sent with encryption enabled
+ * `encryption` is the metadata block the extension attaches to the payload
+ */
+async function decryptField(value, passphrase, encryption) {
+  if (typeof value !== "string" || !value.startsWith("enc:v1:")) return value;
+
+  const [ivB64, ctB64] = value.slice("enc:v1:".length).split(":");
+  const subtle = webcrypto.subtle;
+
+  const baseKey = await subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  const key = await subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      salt: Buffer.from(encryption.salt, "base64"),
+      iterations: encryption.iterations,
+      hash: "SHA-256",
+    },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["decrypt"],
+  );
+
+  const plaintext = await subtle.decrypt(
+    { name: "AES-GCM", iv: Buffer.from(ivB64, "base64") },
+    key,
+    Buffer.from(ctB64, "base64"),
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Decrypt every encrypted field of a log payload
+ */
+async function decryptLog(log, passphrase) {
+  if (!log.encryption) return log;
+
+  const decrypted = { ...log };
+  for (const field of log.encryption.fields) {
+    const decrypt = (value) => decryptField(value, passphrase, log.encryption);
+    decrypted[field] = Array.isArray(log[field])
+      ? await Promise.all(log[field].map(decrypt))
+      : await decrypt(log[field]);
+  }
+  return decrypted;
+}
+
+// Sample team policy served from GET /api/config
+const SAMPLE_CONFIG = {
+  blockedDomains: ["bank.example.com", "payroll.example.com"],
+  sensitiveParams: ["employee_id"],
+  timing: {
+    idleThreshold: 300,
+    minDuration: 10,
+    syncInterval: 2,
+  },
+};
+
+// How a visit was reached (see sessionTracker.js NAVIGATION TRAIL)
+const NAVIGATION_TRANSITIONS = [
+  "link",
+  "typed",
+  "bookmark",
+  "form_submit",
+  "reload",
+  "back_forward",
+  "new_tab",
+  "return",
+  "other",
+];
+
+/**
+ * Check a log payload against the schema syncLogs sends
+ * Returns a list of problems (empty when valid)
+ */
+function validateLog(log) {
+  const errors = [];
+  const isString = (value) => typeof value === "string";
+
+  if (!log || typeof log !== "object" || Array.isArray(log)) {
+    return ["Log must be an object"];
+  }
+
+  if (!isString(log.url) || !log.url) errors.push("url: required string");
+  if (!isString(log.title)) errors.push("title: required string");
+  if (log.type === "highlight") {
+    if (!isString(log.text) || !log.text) {
+      errors.push("text: required string");
+    }
+    for (const field of ["contextBefore", "contextAfter"]) {
+      if (log[field] !== undefined && !isString(log[field])) {
+        errors.push(`${field}: must be a string`);
+      }
+    }
+    if (log.sessionId != null && !isString(log.sessionId)) {
+      errors.push("sessionId: must be a string");
+    }
+  } else if (log.type !== undefined) {
+    errors.push(`type: unknown type "${log.type}"`);
+  } else if (typeof log.duration !== "number" || log.duration < 0) {
+    errors.push("duration: required non-negative number");
+  }
+  if (!isString(log.timestamp) || Number.isNaN(Date.parse(log.timestamp))) {
+    errors.push("timestamp: required ISO date string");
+  }
+  for (const field of ["activeDuration", "idleDuration"]) {
+    if (
+      log[field] !== undefined &&
+      (typeof log[field] !== "number" || log[field] < 0)
+    ) {
+      errors.push(`${field}: must be a non-negative number`);
+    }
+  }
+  for (const field of ["truncated", "isFinalChunk"]) {
+    if (log[field] !== undefined && typeof log[field] !== "boolean") {
+      errors.push(`${field}: must be a boolean`);
+    }
+  }
+  if (log.sessionId !== undefined && !isString(log.sessionId)) {
+    errors.push("sessionId: must be a string");
+  }
+  if (
+    log.chunkIndex !== undefined &&
+    !(Number.isInteger(log.chunkIndex) && log.chunkIndex >= 0)
+  ) {
+    errors.push("chunkIndex: must be a non-negative integer");
+  }
+  if (log.previousSessionId != null && !isString(log.previousSessionId)) {
+    errors.push("previousSessionId: must be a string");
+  }
+  if (log.navigation != null) {
+    const nav = log.navigation;
+    if (
+      typeof nav !== "object" ||
+      !NAVIGATION_TRANSITIONS.includes(nav.transition) ||
+      typeof nav.redirected !== "boolean" ||
+      (nav.openerSessionId != null && !isString(nav.openerSessionId))
+    ) {
+      errors.push(
+        `navigation: must have transition (${NAVIGATION_TRANSITIONS.join(", ")}), redirected and openerSessionId`,
+      );
+    }
+  }
+  if (
+    log.transitions !== undefined &&
+    !(
+      Array.isArray(log.transitions) &&
+      log.transitions.every((t) => NAVIGATION_TRANSITIONS.includes(t))
+    )
+  ) {
+    errors.push(
+      `transitions: must be a list of ${NAVIGATION_TRANSITIONS.join(", ")}`,
+    );
+  }
+  if (log.engagement != null) {
+    const eng = log.engagement;
+    const isCount = (value) => typeof value === "number" && value >= 0;
+    if (
+      typeof eng !== "object" ||
+      !isCount(eng.scrollDepth) ||
+      eng.scrollDepth > 100 ||
+      !isCount(eng.interactionTime) ||
+      !isCount(eng.visibleTime) ||
+      typeof eng.mediaPlayed !== "boolean"
+    ) {
+      errors.push(
+        "engagement: must have scrollDepth (0-100), interactionTime, visibleTime and mediaPlayed",
+      );
+    }
+  }
+  // Optional page metadata, captured page text and the user's note
+  for (const field of [
+    "canonicalUrl",
+    "ogType",
+    "ogImage",
+    "siteName",
+    "author",
+    "language",
+    "keywords",
+    "schemaType",
+    "headline",
+    "content",
+    "note",
+  ]) {
+    if (log[field] !== undefined && !isString(log[field])) {
+      errors.push(`${field}: must be a string`);
+    }
+  }
+  if (
+    log.tags !== undefined &&
+    !(Array.isArray(log.tags) && log.tags.every(isString))
+  ) {
+    errors.push("tags: must be a list of strings");
+  }
+  if (
+    log.publishedAt !== undefined &&
+    (!isString(log.publishedAt) || Number.isNaN(Date.parse(log.publishedAt)))
+  ) {
+    errors.push("publishedAt: must be an ISO date string");
+  }
+  if (log.description !== undefined && !isString(log.description)) {
+    errors.push("description: must be a string");
+  }
+  if (log.idempotencyKey !== undefined && !isString(log.idempotencyKey)) {
+    errors.push("idempotencyKey: must be a string");
+  }
+  if (!log.source || !isString(log.source.type)) {
+    errors.push("source.type: required string");
+  }
+  if (log.source && !isString(log.source.clientId)) {
+    errors.push("source.clientId: required string");
+  }
+  if (log.encryption !== undefined) {
+    const enc = log.encryption;
+    if (
+      !enc ||
+      enc.version !== 1 ||
+      !isString(enc.salt) ||
+      !Number.isInteger(enc.iterations) ||
+      !Array.isArray(enc.fields)
+    ) {
+      errors.push("encryption: invalid metadata block");
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// LOG STORE
+// ============================================
+
+// Received logs: { logId, receivedAt, log }
+let storedLogs = [];
+
+// Log IDs already issued, keyed by idempotency key (for exactly-once testing)
+const logIdsByKey = new Map();
+
+// Pending --store write, if any
+let saveTimer = null;
+
+/**
+ * Load previously stored logs from --store, if given
+ */
+function loadStore() {
+  if (!STORE_FILE || !fs.existsSync(STORE_FILE)) return;
+
+  storedLogs = JSON.parse(fs.readFileSync(STORE_FILE, "utf8")).logs || [];
+  storedLogs.forEach((record) => {
+    if (record.log.idempotencyKey) {
+      logIdsByKey.set(record.log.idempotencyKey, record.logId);
+    }
+  });
+  console.log(`💾 Loaded ${storedLogs.length} logs from ${STORE_FILE}`);
+}
+
+/**
+ * Write stored logs to --store now, if given
+ */
+function flushStore() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!STORE_FILE) return;
+  fs.writeFileSync(STORE_FILE, JSON.stringify({ logs: storedLogs }));
+}
+
+/**
+ * Write stored logs to --store shortly, batching bursts of logs into one write
+ */
+function saveStore() {
+  if (!STORE_FILE || saveTimer) return;
+  saveTimer = setTimeout(flushStore, STORE_SAVE_DELAY_MS);
+}
+
+/**
+ * Store a single log and return its per-item result
+ * Logs repeating a known idempotency key are acknowledged but not stored again
+ */
+function storeLog(log) {
+  const errors = validateLog(log);
+  if (errors.length > 0) {
+    console.log(`   ❌ Invalid log: ${errors.join("; ")}`);
+    return { status: 400, error: "Invalid log", details: errors };
+  }
+
+  const key = log.idempotencyKey;
+  if (key && logIdsByKey.has(key)) {
+    console.log(`   ♻️  Duplicate ignored: ${key}`);
+    return { status: 200, logId: logIdsByKey.get(key), duplicate: true };
+  }
+
+  const logId =
+    "test-log-id-" +
+    Date.now().toString(36) +
+    Math.random().toString(36).substr(2, 5);
+  if (key) logIdsByKey.set(key, logId);
+
+  storedLogs.push({ logId, receivedAt: new Date().toISOString(), log });
+  saveStore();
+
+  return { status: 201, logId };
+}
+
+/**
+ * Answer GET /api/logs?since=<ISO date or epoch ms>&limit=<n>&sessionId=<id>
+ * Filters by when the server received each log, oldest first; sessionId
+ * narrows the result to the chunks of one visit
+ */
+function queryLogs(searchParams) {
+  const since = searchParams.get("since");
+  const sinceMs = since
+    ? Number.isFinite(Number(since))
+      ? Number(since)
+      : Date.parse(since)
+    : 0;
+  const limit = Number(searchParams.get("limit")) || storedLogs.length;
+  const sessionId = searchParams.get("sessionId");
+
+  const logs = storedLogs
+    .filter((record) => Date.parse(record.receivedAt) > sinceMs)
+    .filter((record) => !sessionId || record.log.sessionId === sessionId)
+    .slice(0, limit)
+    .map(({ logId, receivedAt, log }) => ({ logId, receivedAt, ...log }));
+
+  return { count: logs.length, total: storedLogs.length, logs };
+}
+
+// ============================================
+// REQUEST HANDLING
+// ============================================
+
+/**
+ * Answer a request once its raw body (may be gzipped) has arrived
+ */
+async function handleRequest(req, res, rawBody) {
+  const { pathname, searchParams } = new URL(
+    req.url,
+    `http://${req.headers.host}`,
+  );
+
+  // Log Activity
+  console.log(`\n📩 [${req.method}] ${req.url}`);
+
+  // Control and inspection endpoints are never faulted
+  if (pathname === "/api/_mock/fault") {
+    if (req.method === "POST") {
+      const changes = JSON.parse(rawBody.toString() || "{}");
+      const errors =
+        changes && typeof changes === "object" && !Array.isArray(changes)
+          ? validateFault(changes)
+          : ["body must be an object"];
+      if (errors.length > 0) {
+        res.writeHead(400, HEADERS);
+        res.end(
+          JSON.stringify({ error: "Invalid fault settings", details: errors }),
+        );
+        return;
+      }
+      Object.assign(fault, changes);
+      console.log("🎛️  Fault settings:", fault);
+    }
+    res.writeHead(200, HEADERS);
+    res.end(JSON.stringify(fault));
+    return;
+  }
+
+  if (pathname === "/api/logs" && req.method === "GET") {
+    res.writeHead(200, HEADERS);
+    res.end(JSON.stringify(queryLogs(searchParams)));
+    return;
+  }
+
+  if (pathname === "/api/logs" && req.method === "DELETE") {
+    console.log(`🧹 Cleared ${storedLogs.length} stored logs`);
+    storedLogs = [];
+    logIdsByKey.clear();
+    saveStore();
+    res.writeHead(200, HEADERS);
+    res.end(JSON.stringify({ cleared: true }));
+    return;
+  }
+
+  if (await applyFault(req, res)) return;
+
+  // Decompress gzipped bodies
+  let raw = rawBody;
+  if (req.headers["content-encoding"] === "gzip") {
+    if (fault.mode === "nogzip") {
+      console.log("🚫 415 - gzip not accepted in this mode");
+      res.writeHead(415, HEADERS);
+      res.end(JSON.stringify({ error: "Unsupported content encoding" }));
+      return;
+    }
+
+    const compressedSize = raw.length;
+    raw = zlib.gunzipSync(raw);
+    console.log(`🗜️  Gzip body: ${compressedSize} → ${raw.length} bytes`);
+  }
+  const body = raw.toString();
+
+  // Check Authorization
+  const authHeader = req.headers["authorization"];
+  if (authHeader) {
+    console.log(`🔑 Auth: ${authHeader}`);
+  } else {
+    console.log("⚠️  No Auth Header detected");
+  }
+
+  // Handle Routes
+  if (pathname === "/api/status" && req.method === "GET") {
+    console.log("✅ Connection check received");
+    res.writeHead(200, HEADERS);
+    res.end(JSON.stringify({ status: "ok", version: "2.1.0" }));
+  } else if (pathname === "/api/config" && req.method === "GET") {
+    console.log("🏢 Config requested");
+    res.writeHead(200, HEADERS);
+    res.end(JSON.stringify(SAMPLE_CONFIG));
+  } else if (pathname === "/api/health" && req.method === "POST") {
+    const data = JSON.parse(body || "{}");
+    console.log("❤️  Health Ping received:", data);
+    res.writeHead(200, HEADERS);
+    res.end(JSON.stringify({ received: true }));
+  } else if (pathname === "/api/log" && req.method === "POST") {
+    let headers = HEADERS;
+
+    if (fault.mode === "ratelimit") {
+      const rate = consumeRateLimit();
+      headers = { ...HEADERS, ...rate.headers };
+      console.log(
+        `⏳ Rate limit: ${rate.headers["X-RateLimit-Remaining"]}/${RATE_LIMIT} remaining`,
+      );
+
+      if (rate.limited) {
+        console.log(`🛑 429 - retry after ${rate.headers["Retry-After"]}s`);
+        res.writeHead(429, headers);
+        res.end(JSON.stringify({ error: "Too many requests" }));
+        return;
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body || "{}");
+    } catch {
+      console.log("❌ 400 - body is not valid JSON");
+      res.writeHead(400, headers);
+      res.end(JSON.stringify({ error: "Invalid JSON" }));
+      return;
+    }
+
+    // Normalize to array for display (handle single log or batch)
+    const data = Array.isArray(parsed) ? parsed : [parsed];
+
+    console.log(`📦 RECEIVED: ${data.length} logs`);
+
+    data.forEach((log, i) => {
+      const title = log.title ? String(log.title).substring(0, 40) : "Untitled";
+      const url = log.url || "No URL";
+      if (log.type === "highlight") {
+        console.log(
+          `   ${i + 1}. ✨ [${url}] "${String(log.text).substring(0, 40)}..."`,
+        );
+      } else {
+        console.log(`   ${i + 1}. [${url}] ${title}... (${log.duration}s)`);
+      }
+
+      if (log.note || log.tags?.length) {
+        const tags = (log.tags || []).map((tag) => `#${tag}`).join(" ");
+        console.log(
+          `      📝 ${String(log.note || "").substring(0, 60)} ${tags}`,
+        );
+      }
+
+      if (log.source) {
+        console.log(
+          `      Source: ${log.source.type} | Client: ${log.source.clientId}`,
+        );
+      }
+
+      if (log.encryption) {
+        console.log(`      🔐 Encrypted (key ${log.encryption.keyId})`);
+        if (PASSPHRASE) {
+          decryptLog(log, PASSPHRASE)
+            .then((plain) =>
+              console.log(`      🔓 ${i + 1}. [${plain.url}] ${plain.title}`),
+            )
+            .catch(() => console.log("      ❌ Decryption failed"));
+        }
+      }
+    });
+
+    // Batch upload - report a result for each item
+    if (Array.isArray(parsed)) {
+      const results = data.map(storeLog);
+      res.writeHead(200, headers);
+      res.end(JSON.stringify({ success: true, results }));
+      return;
+    }
+
+    const result = storeLog(parsed);
+    res.writeHead(result.status, headers);
+    res.end(
+      JSON.stringify({
+        success: result.status < 300,
+        ...result,
+        pageId: "test-page-id",
+        projectId: "test-project-id",
+      }),
+    );
+  } else {
+    console.log("❓ Unknown endpoint");
+    res.writeHead(404, HEADERS);
+    res.end(JSON.stringify({ error: "Not found" }));
+  }
+}
+
 const server = http.createServer((req, res) => {
   // Handle CORS preflight
   if (req.method === "OPTIONS") {
@@ -16,82 +705,64 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // Parse body
-  let body = "";
+  // Collect raw body (may be gzipped)
+  const chunks = [];
   req.on("data", (chunk) => {
-    body += chunk.toString();
+    chunks.push(chunk);
   });
 
   req.on("end", () => {
-    // Log Activity
-    console.log(`\n📩 [${req.method}] ${req.url}`);
-
-    // Check Authorization
-    const authHeader = req.headers["authorization"];
-    if (authHeader) {
-      console.log(`🔑 Auth: ${authHeader}`);
-    } else {
-      console.log("⚠️  No Auth Header detected");
-    }
-
-    // Handle Routes
-    if (req.url === "/api/status" && req.method === "GET") {
-      console.log("✅ Connection check received");
-      res.writeHead(200, HEADERS);
-      res.end(JSON.stringify({ status: "ok", version: "2.1.0" }));
-    } else if (req.url === "/api/health" && req.method === "POST") {
-      const data = JSON.parse(body || "{}");
-      console.log("❤️  Health Ping received:", data);
-      res.writeHead(200, HEADERS);
-      res.end(JSON.stringify({ received: true }));
-    } else if (req.url === "/api/log" && req.method === "POST") {
-      const parsed = JSON.parse(body || "{}");
-
-      // Normalize to array for display (handle single log or batch)
-      const data = Array.isArray(parsed) ? parsed : [parsed];
-
-      console.log(`📦 RECEIVED: ${data.length} logs`);
-
-      data.forEach((log, i) => {
-        const title = log.title ? log.title.substring(0, 40) : "Untitled";
-        const url = log.url || "No URL";
-        console.log(`   ${i + 1}. [${url}] ${title}... (${log.duration}s)`);
-
-        if (log.source) {
-          console.log(
-            `      Source: ${log.source.type} | Client: ${log.source.clientId}`,
-          );
-        }
-      });
-
-      // Return 201 Success matches new expectation
-      res.writeHead(201, HEADERS);
-      res.end(
-        JSON.stringify({
-          success: true,
-          logId: "test-log-id-" + Date.now().toString(36),
-          pageId: "test-page-id",
-          projectId: "test-project-id",
-        }),
-      );
-    } else {
-      console.log("❓ Unknown endpoint");
-      res.writeHead(404, HEADERS);
-      res.end(JSON.stringify({ error: "Not found" }));
-    }
+    handleRequest(req, res, Buffer.concat(chunks)).catch((e) => {
+      // Unreadable bodies (bad JSON, corrupt gzip) must not take the server down
+      console.log(`❌ 400 - ${e.message}`);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      res.writeHead(400, HEADERS);
+      res.end(JSON.stringify({ error: "Bad request", details: e.message }));
+    });
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`
-🚀 TEST SERVER RUNNING ON PORT ${PORT}
+module.exports = { decryptField, decryptLog, validateLog };
+
+// Only start listening when run directly (not when required for its helpers)
+if (require.main === module) {
+  const errors = validateFault(fault);
+  if (errors.length > 0) {
+    console.error(`Invalid options: ${errors.join("; ")}`);
+    process.exit(1);
+  }
+
+  loadStore();
+
+  // Don't lose the last batch of logs on Ctrl+C
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      flushStore();
+      process.exit(0);
+    });
+  }
+
+  server.listen(PORT, () => {
+    console.log(`
+🚀 TEST SERVER RUNNING ON PORT ${PORT} (mode: ${fault.mode})
 ----------------------------------------
 👉 Endpoint: http://localhost:${PORT}
 👉 Listening for:
    - POST /api/log    (Syncs)
    - GET  /api/status (Connection Check)
+   - GET  /api/config (Team Policy)
    - POST /api/health (Telemetry)
+👉 Inspect & control:
+   - GET    /api/logs?since=&limit=&sessionId= (Stored logs)
+   - DELETE /api/logs               (Clear store)
+   - GET    /api/_mock/fault        (Current fault settings)
+   - POST   /api/_mock/fault        ({ mode, rate, latencyMs })
+👉 Store: ${STORE_FILE || "in memory"}
 
 waiting for extension data...
-  `);
-});
+    `);
+  });
+}
@@ -0,0 +1,230 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeChrome } from "./fakeChrome.mjs";
+
+const chrome = installFakeChrome();
+await import("../background.js");
+const tracker = await import("../sessionTracker.js");
+const { getEntries, clear } = await import("../bufferManager.js");
+
+beforeEach(async () => {
+  mock.timers.enable({
+    apis: ["Date"],
+    now: Date.parse("2026-01-01T12:00:00Z"),
+  });
+  await tracker.handleTabChange(null);
+  await clear();
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+/**
+ * Open a tab, make it active and start tracking it
+ */
+async function visit(url, props = {}) {
+  const tab = chrome.tabs.add({ url, title: url, ...props });
+  await tracker.handleTabChange(tab.id);
+  return tab;
+}
+
+test("applies the idle threshold and sync alarms on startup", async () => {
+  assert.equal(chrome.idle.detectionInterval, 360);
+  assert.ok(await chrome.alarms.get("syncData"));
+  assert.ok(await chrome.alarms.get("sessionChunk"));
+  assert.ok(await chrome.alarms.get("healthPing"));
+});
+
+test("server policy is fetched when Chrome starts, not on every wake", async (t) => {
+  await chrome.storage.local.set({ apiKey: "test-key" });
+  t.after(() => chrome.storage.local.remove(["apiKey", "remoteConfig"]));
+  const urls = [];
+  mock.method(globalThis, "fetch", async (url) => {
+    urls.push(url);
+    return new Response("{}", { status: 200 });
+  });
+  t.after(() => globalThis.fetch.mock.restore());
+
+  // Loading the worker (as every wake does) didn't fetch it
+  await chrome.alarms.fire("sessionChunk");
+  assert.deepEqual(urls, []);
+
+  await chrome.runtime.onStartup.dispatch();
+  assert.equal(urls.length, 1);
+  assert.match(urls[0], /\/api\/config$/);
+});
+
+test("the context menu and keyboard command save highlights", async () => {
+  await chrome.runtime.onInstalled.dispatch({ reason: "install" });
+  assert.equal(
+    chrome.contextMenus.items.get("saveSelection").title,
+    "Save selection to Echo",
+  );
+
+  const tab = chrome.tabs.add({ url: "https://a.com/", title: "A" });
+  await chrome.contextMenus.onClicked.dispatch(
+    { menuItemId: "saveSelection", selectionText: "from the menu" },
+    tab,
+  );
+  chrome.scripting.setSelection(tab.id, {
+    text: "from the keyboard",
+    before: "",
+    after: "",
+  });
+  await chrome.commands.onCommand.dispatch("save-selection", tab);
+
+  // Listeners don't return their promise - let the saves finish
+  await new Promise((resolve) => setImmediate(resolve));
+  const texts = (await getEntries()).map((entry) => entry.text);
+  assert.deepEqual(texts, ["from the menu", "from the keyboard"]);
+});
+
+test("webNavigation events label the session they lead to", async () => {
+  const source = await visit("https://search.com/?q=echo");
+  const opened = chrome.tabs.add({ url: "about:blank", active: false });
+  await chrome.webNavigation.onCreatedNavigationTarget.dispatch({
+    sourceTabId: source.id,
+    tabId: opened.id,
+    url: "https://a.com/",
+  });
+  await chrome.webNavigation.onCommitted.dispatch({
+    tabId: opened.id,
+    frameId: 0,
+    url: "https://a.com/",
+    transitionType: "link",
+    transitionQualifiers: [],
+  });
+
+  chrome.tabs.update(opened.id, { url: "https://a.com/", active: true });
+  await tracker.handleTabChange(opened.id);
+
+  assert.equal(tracker.getCurrentSession().navigation.transition, "new_tab");
+});
+
+test("going idle ends the session when the user actually went idle", async () => {
+  await visit("https://a.com/");
+  // 60s of activity, then the 360s idle threshold elapses
+  mock.timers.tick(420000);
+  await chrome.idle.onStateChanged.dispatch("idle");
+
+  const [entry] = await getEntries();
+  assert.equal(entry.duration, 60);
+  assert.equal(entry.activeDuration, 60);
+  assert.equal(entry.idleDuration, 0);
+  assert.equal(entry.endTime, Date.now() - 360000);
+  assert.equal(tracker.getCurrentSession().url, "");
+});
+
+test("chunks without input are not logged as activity before going idle", async (t) => {
+  t.after(() => (chrome.idle.lastInputAt = null));
+  await visit("https://a.com/");
+  mock.timers.tick(30000);
+  chrome.idle.lastInputAt = Date.now();
+  mock.timers.tick(30000);
+  await chrome.alarms.fire("sessionChunk");
+
+  // No more input: the chunk alarms keep firing until the idle event
+  for (let i = 0; i < 5; i++) {
+    mock.timers.tick(60000);
+    await chrome.alarms.fire("sessionChunk");
+  }
+  mock.timers.tick(30000);
+  await chrome.idle.onStateChanged.dispatch("idle");
+
+  const entries = await getEntries();
+  assert.equal(
+    entries.reduce((total, entry) => total + entry.duration, 0),
+    60,
+  );
+  assert.equal(entries.at(-1).isFinalChunk, true);
+  assert.equal(tracker.getCurrentSession().url, "");
+});
+
+test("going idle right after starting records nothing", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(362000);
+  await chrome.idle.onStateChanged.dispatch("idle");
+
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("locking the screen ends the session immediately", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(30000);
+  await chrome.idle.onStateChanged.dispatch("locked");
+
+  const [entry] = await getEntries();
+  assert.equal(entry.duration, 30);
+});
+
+test("idle while media is playing keeps the session alive", async () => {
+  await visit("https://video.com/", { audible: true });
+  mock.timers.tick(30000);
+  await chrome.idle.onStateChanged.dispatch("idle");
+
+  assert.equal((await getEntries()).length, 0);
+  assert.equal(tracker.getCurrentSession().url, "https://video.com/");
+});
+
+test("idle time while media plays is split out of the duration", async () => {
+  await visit("https://video.com/", { audible: true });
+  // Active for 100s, then idle for the 360s threshold before the event
+  mock.timers.tick(460000);
+  await chrome.idle.onStateChanged.dispatch("idle");
+  mock.timers.tick(140000);
+  await chrome.idle.onStateChanged.dispatch("active");
+  mock.timers.tick(50000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.equal(entry.duration, 650);
+  assert.equal(entry.idleDuration, 500);
+  assert.equal(entry.activeDuration, 150);
+});
+
+test("an open idle span carries over into the next chunk", async () => {
+  await visit("https://video.com/", { audible: true });
+  mock.timers.tick(400000);
+  await chrome.idle.onStateChanged.dispatch("idle");
+  mock.timers.tick(20000);
+  await chrome.alarms.fire("sessionChunk");
+  mock.timers.tick(30000);
+  await tracker.endSession();
+
+  const [first, second] = await getEntries();
+  assert.equal(first.duration, 420);
+  assert.equal(first.idleDuration, 380);
+  assert.equal(second.duration, 30);
+  assert.equal(second.idleDuration, 30);
+});
+
+test("becoming active again starts a new session on the active tab", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(400000);
+  await chrome.idle.onStateChanged.dispatch("idle");
+  mock.timers.tick(600000);
+  await chrome.idle.onStateChanged.dispatch("active");
+
+  const session = tracker.getCurrentSession();
+  assert.equal(session.tabId, tab.id);
+  assert.equal(Math.round(session.duration), 0);
+});
+
+test("leaving Chrome ends the session", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(30000);
+  await chrome.windows.onFocusChanged.dispatch(chrome.windows.WINDOW_ID_NONE);
+
+  assert.equal((await getEntries()).length, 1);
+});
+
+test("the sessionChunk alarm logs a chunk of a long visit", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(60000);
+  await chrome.alarms.fire("sessionChunk");
+
+  const [entry] = await getEntries();
+  assert.equal(entry.duration, 60);
+  assert.equal(tracker.getCurrentSession().url, "https://a.com/");
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeChrome } from "./fakeChrome.mjs";
+
+const chrome = installFakeChrome();
+const buffer = await import("../bufferManager.js");
+const { SYNC_BUFFER_THRESHOLD } = await import("../config.js");
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+  buffer.onBufferThreshold(null);
+});
+
+test("addEntry assigns increasing sequence numbers", async () => {
+  await buffer.addEntry({ url: "https://a.com", endTime: Date.now() });
+  await buffer.addEntry({ url: "https://b.com", endTime: Date.now() });
+
+  const entries = await buffer.getEntries();
+  assert.deepEqual(
+    entries.map((e) => e.seq),
+    [1, 2],
+  );
+});
+
+test("sequence numbers keep growing after the buffer is emptied", async () => {
+  await buffer.addEntry({ url: "https://a.com", endTime: Date.now() });
+  await buffer.clear();
+  await buffer.addEntry({ url: "https://b.com", endTime: Date.now() });
+
+  const [entry] = await buffer.getEntries();
+  assert.equal(entry.seq, 2);
+});
+
+test("removeEntriesUpTo drops delivered entries only", async () => {
+  for (const url of ["https://a.com", "https://b.com", "https://c.com"]) {
+    await buffer.addEntry({ url, endTime: Date.now() });
+  }
+
+  const remaining = await buffer.removeEntriesUpTo(2);
+  const entries = await buffer.getEntries();
+
+  assert.equal(remaining, 1);
+  assert.equal(entries[0].url, "https://c.com");
+});
+
+test("entries from before sequence numbers are numbered ahead of the rest", async () => {
+  await chrome.storage.local.set({
+    logs: [{ url: "https://a.com" }, { url: "https://b.com" }],
+  });
+  await buffer.addEntry({ url: "https://c.com", endTime: Date.now() });
+
+  assert.equal(await buffer.migrateSequenceNumbers(), 2);
+  assert.equal(await buffer.migrateSequenceNumbers(), 0);
+  await buffer.addEntry({ url: "https://d.com", endTime: Date.now() });
+
+  const entries = await buffer.getEntries();
+  assert.deepEqual(
+    entries.map((e) => e.seq),
+    [1, 2, 3, 4],
+  );
+});
+
+test("removeEntries drops entries by index", async () => {
+  for (const url of ["https://a.com", "https://b.com", "https://c.com"]) {
+    await buffer.addEntry({ url, endTime: Date.now() });
+  }
+
+  await buffer.removeEntries([0, 2]);
+  const entries = await buffer.getEntries();
+
+  assert.deepEqual(
+    entries.map((e) => e.url),
+    ["https://b.com"],
+  );
+});
+
+test("threshold listener fires once the buffer is large enough", async () => {
+  const calls = [];
+  buffer.onBufferThreshold((info) => calls.push(info));
+
+  for (let i = 0; i < SYNC_BUFFER_THRESHOLD; i++) {
+    await buffer.addEntry({ url: `https://a.com/${i}`, endTime: Date.now() });
+  }
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].size, SYNC_BUFFER_THRESHOLD);
+});
+
+test("threshold listener fires when the oldest entry is too old", async () => {
+  const calls = [];
+  buffer.onBufferThreshold((info) => calls.push(info));
+
+  await buffer.addEntry({
+    url: "https://a.com",
+    endTime: Date.now() - 3600000,
+  });
+
+  assert.equal(calls.length, 1);
+});
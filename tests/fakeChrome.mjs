@@ -0,0 +1,418 @@
+// ============================================
+// FAKE CHROME - In-Memory chrome.* API for Tests
+// ============================================
+// Covers the parts of the extension API the service worker uses:
+// storage, alarms, tabs, scripting, idle, windows, contextMenus, commands,
+// webNavigation, runtime and action - plus the slice of indexedDB used to
+// keep the encryption key.
+// Install it before importing any extension module:
+//
+//   const chrome = installFakeChrome();
+//   const buffer = await import("../bufferManager.js");
+//
+// Run the suite with: node --test tests/
+
+/**
+ * Create an in-memory indexedDB: open (with upgradeneeded), object stores,
+ * and get/put/delete/clear requests that complete with their transaction
+ * @returns {{open: Function}}
+ */
+export function createFakeIndexedDB() {
+  const databases = new Map();
+
+  const createTransaction = (data) => {
+    const request = (result) => ({ result });
+    const transaction = {
+      objectStore: () => ({
+        get: (key) => request(structuredClone(data.get(key))),
+        put: (value, key) => {
+          data.set(key, structuredClone(value));
+          return request(key);
+        },
+        delete: (key) => request(void data.delete(key)),
+        clear: () => request(data.clear()),
+      }),
+    };
+    queueMicrotask(() => transaction.oncomplete?.());
+    return transaction;
+  };
+
+  return {
+    open(name) {
+      const request = {};
+      queueMicrotask(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const stores = databases.get(name);
+
+        request.result = {
+          objectStoreNames: { contains: (store) => stores.has(store) },
+          createObjectStore: (store) => stores.set(store, new Map()),
+          transaction: (store) => createTransaction(stores.get(store)),
+          close: () => {},
+        };
+        if (isNew) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    },
+  };
+}
+
+/**
+ * Create a chrome.* style event with a test-only dispatch()
+ * @returns {{addListener: Function, removeListener: Function, hasListener: Function, dispatch: Function}}
+ */
+export function createEvent() {
+  const listeners = new Set();
+  return {
+    addListener: (listener) => listeners.add(listener),
+    removeListener: (listener) => listeners.delete(listener),
+    hasListener: (listener) => listeners.has(listener),
+    dispatch: (...args) =>
+      Promise.all([...listeners].map((listener) => listener(...args))),
+  };
+}
+
+/**
+ * Create an in-memory storage area (chrome.storage.local/session)
+ * Values are deep-copied on the way in and out, like the real API
+ * @param {string} areaName - Area name passed to onChanged listeners
+ * @param {Object} onChanged - Shared chrome.storage.onChanged event
+ * @returns {Object}
+ */
+function createStorageArea(areaName, onChanged) {
+  const data = {};
+
+  const pick = (keys) => {
+    if (keys == null) return structuredClone(data);
+    if (typeof keys === "string") keys = [keys];
+    if (Array.isArray(keys)) {
+      const result = {};
+      keys.forEach((key) => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      return result;
+    }
+    // Object form: keys with default values
+    const result = {};
+    Object.entries(keys).forEach(([key, fallback]) => {
+      result[key] = key in data ? structuredClone(data[key]) : fallback;
+    });
+    return result;
+  };
+
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) onChanged.dispatch(changes, areaName);
+  };
+
+  return {
+    data,
+    get: async (keys) => pick(keys),
+    set: async (items) => {
+      const changes = {};
+      Object.entries(structuredClone(items)).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: value };
+        data[key] = value;
+      });
+      notify(changes);
+    },
+    remove: async (keys) => {
+      const changes = {};
+      [].concat(keys).forEach((key) => {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      });
+      notify(changes);
+    },
+    clear: async () => {
+      const changes = {};
+      Object.keys(data).forEach((key) => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      notify(changes);
+    },
+    getBytesInUse: async () => JSON.stringify(data).length,
+  };
+}
+
+/**
+ * Build a fake chrome object
+ * Test helpers live next to the real methods: tabs.add/update/remove,
+ * scripting.setResult/setEngagement/setContent/setSelection/injectedFiles,
+ * alarms.fire and the dispatch() of every event.
+ * @returns {Object}
+ */
+export function createFakeChrome() {
+  const storageChanged = createEvent();
+
+  // --- Tabs ---
+  const tabs = new Map();
+  let nextTabId = 1;
+
+  // --- Scripting results, keyed by tab ID ---
+  const scriptResults = new Map();
+  const injectedFiles = new Map();
+
+  // Results of other injected functions, by function name then tab ID
+  // (one-shot, like the page state they read); a function result is
+  // called with the tab when the script runs
+  const funcResults = new Map();
+  const setFuncResult = (name, tabId, result) => {
+    if (!funcResults.has(name)) funcResults.set(name, new Map());
+    funcResults.get(name).set(tabId, result);
+  };
+
+  // --- Alarms ---
+  const alarms = new Map();
+  const onAlarm = createEvent();
+
+  // --- Badge ---
+  const badge = { text: "", color: null };
+
+  return {
+    storage: {
+      local: createStorageArea("local", storageChanged),
+      session: createStorageArea("session", storageChanged),
+      onChanged: storageChanged,
+    },
+
+    alarms: {
+      create: (name, info = {}) => {
+        alarms.set(name, {
+          name,
+          scheduledTime:
+            info.when ??
+            Date.now() +
+              (info.delayInMinutes ?? info.periodInMinutes ?? 0) * 60000,
+          periodInMinutes: info.periodInMinutes,
+        });
+      },
+      get: async (name) => alarms.get(name),
+      getAll: async () => [...alarms.values()],
+      clear: async (name) => alarms.delete(name),
+      clearAll: async () => alarms.clear(),
+      onAlarm,
+      // Test helper: fire an alarm as if its time had come
+      fire: async (name) => {
+        const alarm = alarms.get(name) || { name };
+        if (!alarm.periodInMinutes) alarms.delete(name);
+        await onAlarm.dispatch(alarm);
+      },
+    },
+
+    tabs: {
+      get: async (tabId) => {
+        if (!tabs.has(tabId)) throw new Error(`No tab with id: ${tabId}.`);
+        return { ...tabs.get(tabId) };
+      },
+      query: async (query = {}) =>
+        [...tabs.values()]
+          .filter(
+            (tab) => query.active === undefined || tab.active === query.active,
+          )
+          .map((tab) => ({ ...tab })),
+      onActivated: createEvent(),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      // Test helpers
+      add: (props) => {
+        const tab = {
+          id: nextTabId++,
+          active: true,
+          audible: false,
+          status: "complete",
+          title: "",
+          url: "about:blank",
+          windowId: 1,
+          ...props,
+        };
+        if (tab.active) {
+          tabs.forEach((other) => (other.active = false));
+        }
+        tabs.set(tab.id, tab);
+        return tab;
+      },
+      update: (tabId, props) => Object.assign(tabs.get(tabId), props),
+      remove: (tabId) => tabs.delete(tabId),
+    },
+
+    scripting: {
+      executeScript: async ({ target, func, files }) => {
+        const result = scriptResults.get(target.tabId);
+        if (result instanceof Error) throw result;
+
+        // Content script files: just remember what was injected
+        if (files) {
+          injectedFiles.set(target.tabId, [
+            ...(injectedFiles.get(target.tabId) || []),
+            ...files,
+          ]);
+          return [{ result: undefined }];
+        }
+
+        if (func && func.name !== "scrapePageContext") {
+          const results = funcResults.get(func.name);
+          const funcResult = results?.get(target.tabId) ?? null;
+          results?.delete(target.tabId);
+          return [
+            {
+              result:
+                typeof funcResult === "function"
+                  ? funcResult({ ...tabs.get(target.tabId) })
+                  : funcResult,
+            },
+          ];
+        }
+
+        const tab = tabs.get(target.tabId);
+        return [
+          { result: result ?? { title: tab?.title || "", description: "" } },
+        ];
+      },
+      // Test helper: what the injected scraper returns for a tab
+      // (pass an Error to simulate a page that refuses injection)
+      setResult: (tabId, result) => scriptResults.set(tabId, result),
+      // Test helper: what the engagement content script has measured
+      setEngagement: (tabId, engagement) =>
+        setFuncResult("collectEngagement", tabId, engagement),
+      // Test helper: what main-content extraction finds in a tab (read
+      // from whatever page the tab shows when it runs)
+      setContent: (tabId, blocks) =>
+        setFuncResult("extractMainContent", tabId, (tab) => ({
+          href: tab.url,
+          blocks,
+        })),
+      // Test helper: the text selected in a tab
+      setSelection: (tabId, selection) =>
+        setFuncResult("getSelectionContext", tabId, selection),
+      // Test helper: content script files injected into a tab
+      injectedFiles: (tabId) => injectedFiles.get(tabId) || [],
+    },
+
+    idle: {
+      detectionInterval: null,
+      state: "active",
+      setDetectionInterval(seconds) {
+        this.detectionInterval = seconds;
+      },
+      // Test helper: when the user last gave input; once set, queryState
+      // answers from it instead of `state`
+      lastInputAt: null,
+      queryState: async (seconds) => {
+        const { idle } = globalThis.chrome;
+        if (idle.lastInputAt === null) return idle.state;
+        return Date.now() - idle.lastInputAt >= seconds * 1000
+          ? "idle"
+          : "active";
+      },
+      onStateChanged: createEvent(),
+    },
+
+    windows: {
+      WINDOW_ID_NONE: -1,
+      focused: true,
+      get: async (windowId) => ({
+        id: windowId,
+        focused: globalThis.chrome.windows.focused,
+      }),
+      onFocusChanged: createEvent(),
+    },
+
+    contextMenus: {
+      items: new Map(),
+      create(props) {
+        this.items.set(props.id, props);
+      },
+      async removeAll() {
+        this.items.clear();
+      },
+      onClicked: createEvent(),
+    },
+
+    commands: {
+      onCommand: createEvent(),
+    },
+
+    webNavigation: {
+      onCommitted: createEvent(),
+      onHistoryStateUpdated: createEvent(),
+      onReferenceFragmentUpdated: createEvent(),
+      onCreatedNavigationTarget: createEvent(),
+    },
+
+    runtime: {
+      getManifest: () => ({ version: "0.0.0-test" }),
+      getPlatformInfo: async () => ({ os: "linux", arch: "x86-64" }),
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      sendMessage: async () => undefined,
+    },
+
+    action: {
+      badge,
+      setBadgeText: async ({ text }) => {
+        badge.text = text;
+      },
+      setBadgeBackgroundColor: async ({ color }) => {
+        badge.color = color;
+      },
+    },
+  };
+}
+
+/**
+ * Install a fresh fake chrome (plus the worker globals the extension uses)
+ * @param {{silent?: boolean}} options - Silence extension logging (default true)
+ * @returns {Object} The fake chrome object
+ */
+export function installFakeChrome({ silent = true } = {}) {
+  const chrome = createFakeChrome();
+  globalThis.chrome = chrome;
+  globalThis.indexedDB = createFakeIndexedDB();
+
+  // Service worker globals
+  if (!globalThis.self) globalThis.self = globalThis;
+  if (!globalThis.addEventListener) {
+    const target = new EventTarget();
+    globalThis.addEventListener = target.addEventListener.bind(target);
+    globalThis.removeEventListener = target.removeEventListener.bind(target);
+    globalThis.dispatchEvent = target.dispatchEvent.bind(target);
+  }
+  setOnline(true);
+
+  // The logger is verbose in development builds
+  if (silent && !process.env.ECHO_TEST_LOGS) {
+    for (const method of [
+      "debug",
+      "info",
+      "log",
+      "warn",
+      "error",
+      "group",
+      "groupEnd",
+      "time",
+      "timeEnd",
+    ]) {
+      console[method] = () => {};
+    }
+  }
+
+  return chrome;
+}
+
+/**
+ * Set what navigator.onLine reports
+ * @param {boolean} online
+ */
+export function setOnline(online) {
+  Object.defineProperty(globalThis, "navigator", {
+    value: { ...globalThis.navigator, onLine: online },
+    configurable: true,
+    writable: true,
+  });
+}
@@ -0,0 +1,113 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeChrome } from "./fakeChrome.mjs";
+
+const chrome = installFakeChrome();
+const highlights = await import("../highlights.js");
+const tracker = await import("../sessionTracker.js");
+const { getEntries, clear } = await import("../bufferManager.js");
+const { loadCustomSettings } = await import("../utils.js");
+const { HIGHLIGHT_HISTORY_SIZE } = await import("../config.js");
+
+beforeEach(async () => {
+  mock.timers.enable({
+    apis: ["Date"],
+    now: Date.parse("2026-01-01T12:00:00Z"),
+  });
+  await tracker.handleTabChange(null);
+  await clear();
+  await chrome.storage.local.remove("highlights");
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+const SELECTION = {
+  text: "the  selected passage",
+  before: "Text before ",
+  after: " and after, see https://a.com/?token=abc",
+};
+
+test("saves the selection with its context as a buffered highlight", async () => {
+  const tab = chrome.tabs.add({
+    url: "https://a.com/post?token=abc",
+    title: "A post",
+  });
+  chrome.scripting.setSelection(tab.id, SELECTION);
+
+  await highlights.saveSelection(tab);
+
+  const [entry] = await getEntries();
+  assert.equal(entry.type, "highlight");
+  assert.equal(entry.url, "https://a.com/post?token=REDACTED");
+  assert.equal(entry.title, "A post");
+  assert.equal(entry.text, "the selected passage");
+  assert.equal(entry.contextBefore, "Text before");
+  assert.equal(
+    entry.contextAfter,
+    "and after, see https://a.com/?token=REDACTED",
+  );
+  assert.equal(entry.timestamp, "2026-01-01T12:00:00.000Z");
+
+  const { highlights: history } = await chrome.storage.local.get("highlights");
+  assert.deepEqual(
+    history.map((saved) => saved.id),
+    [entry.id],
+  );
+});
+
+test("is linked to the session tracking the page", async () => {
+  const tab = chrome.tabs.add({ url: "https://a.com/post" });
+  await tracker.handleTabChange(tab.id);
+  chrome.scripting.setSelection(tab.id, SELECTION);
+
+  const highlight = await highlights.saveSelection(tab);
+  const other = chrome.tabs.add({ url: "https://b.com/", active: false });
+  chrome.scripting.setSelection(other.id, SELECTION);
+  const unlinked = await highlights.saveSelection(other);
+
+  assert.equal(highlight.sessionId, tracker.getCurrentSession().sessionId);
+  assert.equal(unlinked.sessionId, null);
+});
+
+test("falls back to the context menu's selection text", async () => {
+  const tab = chrome.tabs.add({ url: "https://a.com/doc.pdf" });
+  chrome.scripting.setResult(tab.id, new Error("Cannot access page"));
+
+  const highlight = await highlights.saveSelection(tab, "from the menu");
+
+  assert.equal(highlight.text, "from the menu");
+  assert.equal(highlight.contextBefore, "");
+});
+
+test("saves nothing without a selection or on untracked pages", async (t) => {
+  await chrome.storage.local.set({ customBlockedDomains: ["bank.com"] });
+  await loadCustomSettings();
+  t.after(async () => {
+    await chrome.storage.local.remove("customBlockedDomains");
+    await loadCustomSettings();
+  });
+
+  const empty = chrome.tabs.add({ url: "https://a.com/" });
+  const blocked = chrome.tabs.add({ url: "https://bank.com/" });
+  chrome.scripting.setSelection(blocked.id, SELECTION);
+  const system = chrome.tabs.add({ url: "chrome://settings" });
+
+  assert.equal(await highlights.saveSelection(empty), null);
+  assert.equal(await highlights.saveSelection(blocked, "x"), null);
+  assert.equal(await highlights.saveSelection(system, "x"), null);
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("the local history keeps only the newest highlights", async () => {
+  const tab = chrome.tabs.add({ url: "https://a.com/" });
+  for (let i = 0; i <= HIGHLIGHT_HISTORY_SIZE; i++) {
+    await highlights.saveSelection(tab, `passage ${i}`);
+  }
+
+  const { highlights: history } = await chrome.storage.local.get("highlights");
+  assert.equal(history.length, HIGHLIGHT_HISTORY_SIZE);
+  assert.equal(history[0].text, "passage 1");
+  assert.equal((await getEntries()).length, HIGHLIGHT_HISTORY_SIZE + 1);
+});
@@ -0,0 +1,919 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeChrome } from "./fakeChrome.mjs";
+
+const chrome = installFakeChrome();
+const tracker = await import("../sessionTracker.js");
+const { getEntries, clear } = await import("../bufferManager.js");
+const { loadCustomSettings } = await import("../utils.js");
+
+beforeEach(async () => {
+  mock.timers.enable({
+    apis: ["Date"],
+    now: Date.parse("2026-01-01T12:00:00Z"),
+  });
+  await tracker.handleTabChange(null);
+  await clear();
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+/**
+ * Open a tab, make it active and start tracking it
+ */
+async function visit(url, props = {}) {
+  const tab = chrome.tabs.add({ url, title: `Title of ${url}`, ...props });
+  await tracker.handleTabChange(tab.id);
+  return tab;
+}
+
+test("switching tabs logs the previous tab with its duration", async () => {
+  await visit("https://a.com/page");
+  mock.timers.tick(12000);
+  await visit("https://b.com/");
+
+  const [entry] = await getEntries();
+  assert.equal(entry.url, "https://a.com/page");
+  assert.equal(entry.domain, "a.com");
+  assert.equal(entry.title, "Title of https://a.com/page");
+  assert.equal(entry.duration, 12);
+  assert.ok(entry.id);
+  assert.equal(tracker.getCurrentSession().url, "https://b.com/");
+});
+
+test("visits shorter than the minimum duration are dropped", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(2000);
+  await visit("https://b.com/");
+
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("system pages are not tracked", async () => {
+  await visit("chrome://settings/");
+  mock.timers.tick(30000);
+  await tracker.endSession();
+
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("blocked domains are not tracked", async () => {
+  await chrome.storage.local.set({ customBlockedDomains: ["private.com"] });
+  await loadCustomSettings();
+
+  await visit("https://mail.private.com/");
+  mock.timers.tick(30000);
+  await tracker.endSession();
+
+  assert.equal((await getEntries()).length, 0);
+
+  await chrome.storage.local.remove("customBlockedDomains");
+  await loadCustomSettings();
+});
+
+test("sensitive URL params are redacted in logged entries", async () => {
+  await visit("https://a.com/reset?token=secret123&step=2");
+  mock.timers.tick(10000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  const params = new URL(entry.url).searchParams;
+  assert.equal(params.get("token"), "REDACTED");
+  assert.equal(params.get("step"), "2");
+});
+
+test("scraped metadata is used, with tab.title as fallback", async () => {
+  const tab = chrome.tabs.add({ url: "https://a.com/", title: "Tab title" });
+  chrome.scripting.setResult(tab.id, {
+    title: "Scraped",
+    description: "About",
+  });
+  await tracker.handleTabChange(tab.id);
+  mock.timers.tick(10000);
+  await tracker.endSession();
+
+  const blocked = chrome.tabs.add({
+    url: "https://b.com/",
+    title: "Tab title",
+  });
+  chrome.scripting.setResult(blocked.id, new Error("Cannot access page"));
+  await tracker.handleTabChange(blocked.id);
+  mock.timers.tick(10000);
+  await tracker.endSession();
+
+  const [scraped, fallback] = await getEntries();
+  assert.equal(scraped.title, "Scraped");
+  assert.equal(scraped.description, "About");
+  assert.equal(fallback.title, "Tab title");
+});
+
+test("optional page metadata is cleaned up and carried into the entry", async () => {
+  const tab = chrome.tabs.add({ url: "https://a.com/post?id=1" });
+  chrome.scripting.setResult(tab.id, {
+    title: "Post",
+    description: "",
+    canonicalUrl: "https://a.com/post?id=1&token=abc",
+    ogType: "article",
+    ogImage: "javascript:alert(1)",
+    siteName: "A Blog",
+    author: "<b>A. Writer</b>",
+    publishedAt: "2026-01-01T10:00:00+01:00",
+    language: "en-GB",
+    keywords: "",
+    schemaType: "BlogPosting",
+    headline: "A post",
+  });
+  await tracker.handleTabChange(tab.id);
+  mock.timers.tick(10000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.equal(entry.canonicalUrl, "https://a.com/post?id=1&token=REDACTED");
+  assert.equal(entry.ogType, "article");
+  assert.equal(entry.siteName, "A Blog");
+  assert.equal(entry.author, "A. Writer");
+  assert.equal(entry.publishedAt, "2026-01-01T09:00:00.000Z");
+  assert.equal(entry.language, "en-GB");
+  assert.equal(entry.schemaType, "BlogPosting");
+  assert.equal(entry.headline, "A post");
+  // Missing and unusable values are left out
+  assert.ok(!("ogImage" in entry));
+  assert.ok(!("keywords" in entry));
+});
+
+test("YouTube: same video with new params stays one session", async () => {
+  const tab = await visit("https://www.youtube.com/watch?v=abc");
+  mock.timers.tick(20000);
+
+  chrome.tabs.update(tab.id, {
+    url: "https://www.youtube.com/watch?v=abc&t=20",
+  });
+  await tracker.handleTabChange(tab.id);
+  mock.timers.tick(20000);
+
+  assert.equal((await getEntries()).length, 0);
+  assert.equal(Math.round(tracker.getCurrentSession().duration), 40);
+});
+
+test("YouTube: a different video ends the session", async () => {
+  const tab = await visit("https://www.youtube.com/watch?v=abc");
+  mock.timers.tick(20000);
+
+  chrome.tabs.update(tab.id, { url: "https://www.youtube.com/watch?v=xyz" });
+  await tracker.handleTabChange(tab.id);
+
+  const [entry] = await getEntries();
+  assert.equal(entry.url, "https://www.youtube.com/watch?v=abc");
+  assert.equal(entry.duration, 20);
+});
+
+test("tracking params and anchors do not split the session", async () => {
+  const tab = await visit("https://a.com/post?id=1");
+  mock.timers.tick(10000);
+
+  chrome.tabs.update(tab.id, { url: "https://a.com/post?utm_source=x&id=1" });
+  await tracker.handleTabChange(tab.id);
+  chrome.tabs.update(tab.id, { url: "https://a.com/post?id=1#comments" });
+  await tracker.handleTabChange(tab.id);
+  assert.equal((await getEntries()).length, 0);
+
+  chrome.tabs.update(tab.id, { url: "https://a.com/post?id=2" });
+  await tracker.handleTabChange(tab.id);
+  assert.equal((await getEntries()).length, 1);
+});
+
+test("spurious update for the same URL does not split the session", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(10000);
+  await tracker.handleTabChange(tab.id);
+
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("chunking logs the elapsed part and keeps tracking the same tab", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(60000);
+
+  const chunk = await tracker.endAndRestartSession();
+  mock.timers.tick(30000);
+  const session = tracker.getCurrentSession();
+
+  assert.equal(chunk.duration, 60);
+  assert.equal(session.tabId, tab.id);
+  assert.equal(session.url, "https://a.com/");
+  assert.equal(Math.round(session.duration), 30);
+});
+
+test("chunks of one visit share a session ID and are numbered", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(60000);
+  await tracker.endAndRestartSession();
+  mock.timers.tick(60000);
+  await tracker.endAndRestartSession();
+  mock.timers.tick(2000);
+  await visit("https://b.com/");
+  mock.timers.tick(10000);
+  await tracker.endSession();
+
+  const [a0, a1, a2, b0] = await getEntries();
+  assert.deepEqual(
+    [a0, a1, a2].map((e) => [e.sessionId, e.chunkIndex, e.isFinalChunk]),
+    [
+      [a0.sessionId, 0, false],
+      [a0.sessionId, 1, false],
+      [a0.sessionId, 2, true],
+    ],
+  );
+  // The final chunk is kept even though it is shorter than minDuration
+  assert.equal(a2.duration, 2);
+  assert.notEqual(b0.sessionId, a0.sessionId);
+  assert.equal(b0.chunkIndex, 0);
+  assert.equal(b0.isFinalChunk, true);
+});
+
+test("a chunk too short to log leaves its index to the next one", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(2000);
+  assert.equal(await tracker.endAndRestartSession(), null);
+  mock.timers.tick(60000);
+  const chunk = await tracker.endAndRestartSession();
+
+  assert.equal(chunk.chunkIndex, 0);
+  assert.equal(tracker.getCurrentSession().chunkIndex, 1);
+});
+
+test("a sleep gap cuts the session at the last known-alive moment", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(30000);
+
+  // A metadata refresh is the last sign of life before the lid closes
+  chrome.scripting.setResult(tab.id, { title: "Loaded", description: "" });
+  await tracker.handleTabChange(tab.id);
+  mock.timers.tick(3 * 3600000);
+
+  await tracker.endAndRestartSession();
+  mock.timers.tick(20000);
+  await tracker.endSession();
+
+  const [asleep, awake] = await getEntries();
+  assert.equal(asleep.duration, 30);
+  assert.equal(asleep.truncated, true);
+  assert.equal(asleep.isFinalChunk, true);
+  assert.equal(awake.duration, 20);
+  assert.equal(awake.truncated, false);
+  assert.notEqual(awake.sessionId, asleep.sessionId);
+  assert.equal(awake.chunkIndex, 0);
+});
+
+test("an alarm running slightly late is not a sleep gap", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(150000);
+  await tracker.endAndRestartSession();
+
+  const [entry] = await getEntries();
+  assert.equal(entry.duration, 150);
+  assert.equal(entry.truncated, false);
+});
+
+/**
+ * Turn on engagement tracking for one test
+ */
+async function enableEngagement(t) {
+  await chrome.storage.local.set({ engagementTracking: true });
+  t.after(() => chrome.storage.local.remove("engagementTracking"));
+}
+
+const ENGAGEMENT = {
+  scrollDepth: 60,
+  interactionTime: 12,
+  visibleTime: 30,
+  mediaPlayed: false,
+};
+
+test("engagement is not measured unless enabled", async () => {
+  const tab = await visit("https://a.com/");
+  chrome.scripting.setEngagement(tab.id, ENGAGEMENT);
+  mock.timers.tick(30000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.deepEqual(chrome.scripting.injectedFiles(tab.id), []);
+  assert.equal(entry.engagement, null);
+});
+
+test("engagement measured in the page is rolled into the entry", async (t) => {
+  await enableEngagement(t);
+  const tab = await visit("https://a.com/");
+  assert.deepEqual(chrome.scripting.injectedFiles(tab.id), ["engagement.js"]);
+
+  chrome.scripting.setEngagement(tab.id, ENGAGEMENT);
+  mock.timers.tick(30000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.deepEqual(entry.engagement, ENGAGEMENT);
+});
+
+test("each chunk gets the engagement measured during it", async (t) => {
+  await enableEngagement(t);
+  const tab = await visit("https://a.com/");
+
+  chrome.scripting.setEngagement(tab.id, ENGAGEMENT);
+  mock.timers.tick(60000);
+  await tracker.endAndRestartSession();
+  mock.timers.tick(60000);
+  await tracker.endSession();
+
+  const [first, second] = await getEntries();
+  assert.deepEqual(first.engagement, ENGAGEMENT);
+  assert.equal(second.engagement, null);
+});
+
+test("engagement reported by an unloading page is merged in", async (t) => {
+  await enableEngagement(t);
+  const tab = await visit("https://a.com/post?id=1");
+  mock.timers.tick(30000);
+
+  // The page unloads, reports, and a new document replaces it
+  await tracker.addEngagementReport(tab.id, "https://a.com/post?id=1#top", {
+    ...ENGAGEMENT,
+    mediaPlayed: true,
+  });
+  await tracker.addEngagementReport(tab.id, "https://b.com/", ENGAGEMENT);
+  chrome.scripting.setEngagement(tab.id, {
+    scrollDepth: 20,
+    interactionTime: 3,
+    visibleTime: 5,
+    mediaPlayed: false,
+  });
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.deepEqual(entry.engagement, {
+    scrollDepth: 60,
+    interactionTime: 15,
+    visibleTime: 35,
+    mediaPlayed: true,
+  });
+});
+
+test("engagement of a chunk too short to log goes into the next one", async (t) => {
+  await enableEngagement(t);
+  const tab = await visit("https://a.com/");
+
+  chrome.scripting.setEngagement(tab.id, ENGAGEMENT);
+  mock.timers.tick(3000);
+  assert.equal(await tracker.endAndRestartSession(), null);
+  mock.timers.tick(60000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.equal(entry.duration, 60);
+  assert.deepEqual(entry.engagement, ENGAGEMENT);
+});
+
+test("engagement reported by an unloading page survives a worker restart", async (t) => {
+  await enableEngagement(t);
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(30000);
+  await tracker.addEngagementReport(tab.id, "https://a.com/", ENGAGEMENT);
+  chrome.tabs.add({ url: "https://b.com/" });
+
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "closed");
+
+  const [entry] = await getEntries();
+  assert.deepEqual(entry.engagement, ENGAGEMENT);
+});
+
+test("engagement is still measured after the page reloads", async (t) => {
+  await enableEngagement(t);
+  const tab = await visit("https://a.com/post?utm_source=feed");
+  chrome.scripting.setEngagement(tab.id, ENGAGEMENT);
+  mock.timers.tick(20000);
+
+  // Only a tracking param changed - same visit, but a new document
+  chrome.tabs.update(tab.id, { url: "https://a.com/post?utm_source=mail" });
+  await tracker.handleTabChange(tab.id);
+  chrome.scripting.setEngagement(tab.id, {
+    scrollDepth: 20,
+    interactionTime: 3,
+    visibleTime: 5,
+    mediaPlayed: true,
+  });
+  mock.timers.tick(20000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.deepEqual(chrome.scripting.injectedFiles(tab.id), [
+    "engagement.js",
+    "engagement.js",
+  ]);
+  assert.deepEqual(entry.engagement, {
+    scrollDepth: 60,
+    interactionTime: 15,
+    visibleTime: 35,
+    mediaPlayed: true,
+  });
+});
+
+/**
+ * Opt domains into content capture for one test
+ */
+async function enableContentCapture(t, domains) {
+  await chrome.storage.local.set({ customContentCaptureDomains: domains });
+  await loadCustomSettings();
+  t.after(async () => {
+    await chrome.storage.local.remove("customContentCaptureDomains");
+    await loadCustomSettings();
+  });
+}
+
+const ARTICLE = [
+  { text: "Reading  list", heading: 1 },
+  { text: "First <b>paragraph</b>." },
+  { text: "Intro", heading: 2 },
+  { text: "See https://a.com/cb?token=abc for more." },
+];
+
+test("page text is captured on opted-in domains after an engaged visit", async (t) => {
+  await enableContentCapture(t, ["docs.a.com"]);
+  const tab = await visit("https://docs.a.com/guide");
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  mock.timers.tick(60000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.equal(
+    entry.content,
+    [
+      "# Reading list",
+      "First paragraph.",
+      "## Intro",
+      "See https://a.com/cb?token=REDACTED for more.",
+    ].join("\n\n"),
+  );
+});
+
+test("page text is not captured without opt-in or enough engagement", async (t) => {
+  await enableContentCapture(t, ["docs.a.com"]);
+
+  // Other domain
+  let tab = await visit("https://b.com/");
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  mock.timers.tick(60000);
+
+  // Too short a read
+  tab = await visit("https://docs.a.com/guide");
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  mock.timers.tick(20000);
+  await tracker.endSession();
+
+  const entries = await getEntries();
+  assert.equal(entries.length, 2);
+  assert.ok(entries.every((entry) => !("content" in entry)));
+});
+
+test("page text is not captured when the page was barely scrolled", async (t) => {
+  await enableContentCapture(t, ["docs.a.com"]);
+  await enableEngagement(t);
+  const tab = await visit("https://docs.a.com/guide");
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  chrome.scripting.setEngagement(tab.id, { ...ENGAGEMENT, scrollDepth: 10 });
+  mock.timers.tick(60000);
+  await tracker.endSession();
+
+  const [entry] = await getEntries();
+  assert.ok(!("content" in entry));
+});
+
+test("page text is not captured once the tab has moved on", async (t) => {
+  await enableContentCapture(t, ["docs.a.com"]);
+  const tab = await visit("https://docs.a.com/guide");
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  mock.timers.tick(60000);
+
+  // The tab already shows the next page when the tab change ends the session
+  chrome.tabs.update(tab.id, { url: "https://b.com/private" });
+  await tracker.handleTabChange(tab.id);
+
+  const [entry] = await getEntries();
+  assert.equal(entry.url, "https://docs.a.com/guide");
+  assert.ok(!("content" in entry));
+});
+
+test("page text is captured once per visit, not per chunk", async (t) => {
+  await enableContentCapture(t, ["docs.a.com"]);
+  const tab = await visit("https://docs.a.com/guide");
+
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  mock.timers.tick(60000);
+  await tracker.endAndRestartSession();
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  mock.timers.tick(60000);
+  await tracker.endAndRestartSession();
+
+  // Still once after the worker was suspended and picked the visit up again
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "resumed");
+  chrome.scripting.setContent(tab.id, ARTICLE);
+  mock.timers.tick(60000);
+  await restarted.endSession();
+
+  const [first, second, third] = await getEntries();
+  assert.equal(first.sessionId, third.sessionId);
+  assert.ok(first.content);
+  assert.ok(!("content" in second));
+  assert.ok(!("content" in third));
+});
+
+// --- Notes and tags ---
+
+test("a note and tags are attached to the entry the session logs", async () => {
+  await visit("https://a.com/");
+  const { sessionId } = tracker.getCurrentSession();
+
+  const saved = await tracker.annotateSession(sessionId, {
+    note: "  Reading up on\n  https://a.com/?token=abc ",
+    tags: ["#Research", "deep work", "research", "", 42],
+  });
+  assert.deepEqual(saved, {
+    note: "Reading up on https://a.com/?token=REDACTED",
+    tags: ["research", "deep-work"],
+  });
+  mock.timers.tick(20000);
+  const entry = await tracker.endSession();
+
+  assert.equal(entry.note, saved.note);
+  assert.deepEqual(entry.tags, saved.tags);
+});
+
+test("entries without a note or tags carry neither field", async () => {
+  await visit("https://a.com/");
+  const { sessionId } = tracker.getCurrentSession();
+  await tracker.annotateSession(sessionId, { note: "draft" });
+  await tracker.annotateSession(sessionId, { note: "" });
+  mock.timers.tick(20000);
+  const entry = await tracker.endSession();
+
+  assert.ok(!("note" in entry));
+  assert.ok(!("tags" in entry));
+});
+
+test("notes meant for a session that has ended are dropped", async () => {
+  await visit("https://a.com/");
+  const { sessionId } = tracker.getCurrentSession();
+  mock.timers.tick(20000);
+  await visit("https://b.com/");
+
+  assert.equal(await tracker.annotateSession(sessionId, { note: "x" }), null);
+  assert.equal(tracker.getCurrentSession().note, "");
+});
+
+test("every chunk of a visit keeps its note, tags and start time", async () => {
+  await visit("https://a.com/");
+  const { sessionId, visitStartTime } = tracker.getCurrentSession();
+  await tracker.annotateSession(sessionId, { note: "n", tags: ["t"] });
+  mock.timers.tick(60000);
+  const chunk = await tracker.endAndRestartSession();
+
+  const session = tracker.getCurrentSession();
+  assert.equal(chunk.note, "n");
+  assert.equal(session.note, "n");
+  assert.deepEqual(session.tags, ["t"]);
+  assert.equal(session.visitStartTime, visitStartTime);
+  assert.notEqual(session.startTime, visitStartTime);
+});
+
+// --- Navigation trail ---
+
+/**
+ * Navigate a tab as webNavigation would report it, then let the tracker
+ * see the tab change
+ */
+async function navigate(tab, url, transitionType, qualifiers = []) {
+  await tracker.recordNavigation({
+    tabId: tab.id,
+    frameId: 0,
+    url,
+    transitionType,
+    transitionQualifiers: qualifiers,
+  });
+  chrome.tabs.update(tab.id, { url, active: true });
+  await tracker.handleTabChange(tab.id);
+}
+
+test("a followed link records the transition and the previous session", async () => {
+  const tab = await visit("https://search.com/?q=echo");
+  const search = tracker.getCurrentSession().sessionId;
+  mock.timers.tick(20000);
+  await navigate(tab, "https://a.com/article", "link");
+  mock.timers.tick(20000);
+  const entry = await tracker.endSession();
+
+  assert.equal(entry.previousSessionId, search);
+  assert.deepEqual(entry.navigation, {
+    transition: "link",
+    redirected: false,
+    openerSessionId: null,
+  });
+});
+
+test("Chrome's transitions are reduced to how the user got there", async () => {
+  const tab = await visit("https://a.com/");
+  const cases = [
+    ["typed", [], "typed"],
+    ["generated", [], "typed"],
+    ["link", ["from_address_bar"], "typed"],
+    ["link", ["forward_back"], "back_forward"],
+    ["auto_bookmark", [], "bookmark"],
+    ["form_submit", [], "form_submit"],
+    ["start_page", [], "other"],
+  ];
+
+  for (const [i, [type, qualifiers, expected]] of cases.entries()) {
+    await navigate(tab, `https://a.com/${i}`, type, qualifiers);
+    assert.equal(tracker.getCurrentSession().navigation.transition, expected);
+  }
+});
+
+test("a tab opened from the tracked page records its opener", async () => {
+  await visit("https://search.com/?q=echo");
+  const search = tracker.getCurrentSession();
+  const opened = chrome.tabs.add({ url: "about:blank", active: false });
+  await tracker.recordNewTab({ sourceTabId: search.tabId, tabId: opened.id });
+  await tracker.recordNavigation({
+    tabId: opened.id,
+    frameId: 0,
+    url: "https://a.com/",
+    transitionType: "link",
+  });
+  mock.timers.tick(20000);
+
+  chrome.tabs.update(opened.id, { url: "https://a.com/", active: true });
+  await tracker.handleTabChange(opened.id);
+
+  const { navigation, previousSessionId } = tracker.getCurrentSession();
+  assert.equal(navigation.transition, "new_tab");
+  assert.equal(navigation.openerSessionId, search.sessionId);
+  assert.equal(previousSessionId, search.sessionId);
+});
+
+test("a client redirect keeps the transition that led to it", async () => {
+  const tab = await visit("https://a.com/");
+  const background = chrome.tabs.add({ url: "about:blank", active: false });
+  for (const [url, transitionType, qualifiers] of [
+    ["https://b.com/login", "typed", []],
+    ["https://b.com/home", "link", ["client_redirect"]],
+    ["https://b.com/", "link", []],
+  ]) {
+    await tracker.recordNavigation({
+      tabId: url === "https://b.com/" ? tab.id : background.id,
+      frameId: 0,
+      url,
+      transitionType,
+      transitionQualifiers: qualifiers,
+    });
+  }
+
+  chrome.tabs.update(background.id, {
+    url: "https://b.com/home",
+    active: true,
+  });
+  await tracker.handleTabChange(background.id);
+
+  assert.deepEqual(tracker.getCurrentSession().navigation, {
+    transition: "typed",
+    redirected: true,
+    openerSessionId: null,
+  });
+});
+
+test("switching back to an open page is a return visit", async () => {
+  const a = await visit("https://a.com/");
+  // A reload keeps the visit going; it must not label the next one
+  await navigate(a, "https://a.com/", "reload");
+  mock.timers.tick(20000);
+  await visit("https://b.com/");
+  mock.timers.tick(20000);
+  chrome.tabs.update(a.id, { active: true });
+  await tracker.handleTabChange(a.id);
+
+  assert.equal(tracker.getCurrentSession().navigation.transition, "return");
+});
+
+test("reloads and back/forward on the same page are noted on the chunk", async () => {
+  const tab = await visit("https://a.com/post");
+  mock.timers.tick(20000);
+  await navigate(tab, "https://a.com/post", "reload");
+  await navigate(tab, "https://a.com/post#comments", "link");
+  await tracker.endAndRestartSession();
+  mock.timers.tick(20000);
+  await navigate(tab, "https://a.com/post", "link", ["forward_back"]);
+  mock.timers.tick(20000);
+  await tracker.endSession();
+
+  const [first, second] = await getEntries();
+  assert.equal(first.sessionId, second.sessionId);
+  assert.deepEqual(first.transitions, ["reload", "link"]);
+  assert.deepEqual(second.transitions, ["back_forward"]);
+  assert.equal(second.navigation.transition, "return");
+});
+
+test("sessions too short to log are skipped in the trail", async () => {
+  const tab = await visit("https://a.com/");
+  const first = tracker.getCurrentSession().sessionId;
+  mock.timers.tick(20000);
+  await navigate(tab, "https://b.com/", "link");
+  mock.timers.tick(1000);
+  await navigate(tab, "https://c.com/", "link");
+
+  assert.equal(tracker.getCurrentSession().previousSessionId, first);
+});
+
+test("chunks of a visit keep its navigation", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(20000);
+  await navigate(tab, "https://b.com/", "link");
+  const { navigation, previousSessionId } = tracker.getCurrentSession();
+  mock.timers.tick(60000);
+  const chunk = await tracker.endAndRestartSession();
+
+  const session = tracker.getCurrentSession();
+  assert.deepEqual(chunk.navigation, navigation);
+  assert.deepEqual(session.navigation, navigation);
+  assert.equal(session.previousSessionId, previousSessionId);
+});
+
+test("closing the tracked tab ends the session", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(10000);
+  await tracker.handleTabChange(null);
+
+  assert.equal((await getEntries()).length, 1);
+  assert.equal(tracker.getCurrentSession().tabId, null);
+});
+
+// --- Worker restarts ---
+
+/**
+ * Load a fresh copy of sessionTracker, as a restarted service worker would
+ */
+let restarts = 0;
+async function restartWorker() {
+  return import(`../sessionTracker.js?restart=${++restarts}`);
+}
+
+test("the active session is checkpointed to session storage", async () => {
+  const tab = await visit("https://a.com/");
+
+  const { activeSession } = await chrome.storage.session.get("activeSession");
+  assert.equal(activeSession.tabId, tab.id);
+  assert.equal(activeSession.url, "https://a.com/");
+  assert.equal(activeSession.startTime, Date.now());
+
+  await tracker.endSession();
+  assert.deepEqual(await chrome.storage.session.get("activeSession"), {});
+});
+
+test("a restarted worker resumes the session if its tab is still active", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(20000);
+
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "resumed");
+  mock.timers.tick(10000);
+
+  const session = restarted.getCurrentSession();
+  assert.equal(session.tabId, tab.id);
+  assert.equal(Math.round(session.duration), 30);
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("a chunk alarm that wakes the worker waits for the session to be recovered", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(60000);
+
+  // The alarm handler runs while recovery is still reading the checkpoint
+  const restarted = await restartWorker();
+  const recovered = restarted.recoverSession();
+  const chunk = await restarted.endAndRestartSession();
+
+  assert.equal(await recovered, "resumed");
+  assert.equal(chunk.duration, 60);
+  assert.deepEqual(
+    (await getEntries()).map((entry) => entry.id),
+    [chunk.id],
+  );
+  const session = restarted.getCurrentSession();
+  assert.equal(session.tabId, tab.id);
+  assert.equal(Math.round(session.duration), 0);
+});
+
+test("a restarted worker closes out the session if the tab changed", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(20000);
+  chrome.tabs.add({ url: "https://b.com/" });
+
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "closed");
+
+  const [entry] = await getEntries();
+  assert.equal(entry.url, "https://a.com/");
+  assert.equal(entry.duration, 20);
+  assert.equal(restarted.getCurrentSession().url, "");
+  assert.deepEqual(await chrome.storage.session.get("activeSession"), {});
+});
+
+test("a closed-out session ends no later than the next chunk alarm", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(150000);
+  chrome.idle.state = "idle";
+
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "closed");
+  chrome.idle.state = "active";
+
+  const [entry] = await getEntries();
+  assert.equal(entry.duration, 60);
+});
+
+test("a restarted worker cuts the session at a sleep gap and starts afresh", async () => {
+  const tab = await visit("https://a.com/");
+  mock.timers.tick(40000);
+  await tracker.endAndRestartSession();
+  mock.timers.tick(3 * 3600000);
+
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "closed");
+
+  // The cut chunk still closes the visit, even with nothing left in it
+  const [first, last] = await getEntries();
+  assert.equal(last.sessionId, first.sessionId);
+  assert.equal(last.duration, 0);
+  assert.equal(last.truncated, true);
+  assert.equal(last.isFinalChunk, true);
+
+  const session = restarted.getCurrentSession();
+  assert.equal(session.tabId, tab.id);
+  assert.notEqual(session.sessionId, first.sessionId);
+  assert.equal(Math.round(session.duration), 0);
+});
+
+test("a resumed session keeps its session ID and chunk index", async () => {
+  await visit("https://a.com/");
+  mock.timers.tick(40000);
+  const chunk = await tracker.endAndRestartSession();
+
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "resumed");
+  mock.timers.tick(20000);
+  const last = await restarted.endSession();
+
+  assert.equal(last.sessionId, chunk.sessionId);
+  assert.equal(last.chunkIndex, 1);
+  assert.equal(last.isFinalChunk, true);
+});
+
+test("a resumed session keeps its note and tags", async () => {
+  await visit("https://a.com/");
+  const { sessionId, visitStartTime } = tracker.getCurrentSession();
+  await tracker.annotateSession(sessionId, { note: "n", tags: ["t"] });
+
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), "resumed");
+  const session = restarted.getCurrentSession();
+
+  assert.equal(session.note, "n");
+  assert.deepEqual(session.tags, ["t"]);
+  assert.equal(session.visitStartTime, visitStartTime);
+});
+
+test("the trail survives the worker being suspended between visits", async () => {
+  const tab = await visit("https://a.com/");
+  const first = tracker.getCurrentSession().sessionId;
+  mock.timers.tick(20000);
+  await tracker.endSession();
+  await tracker.recordNavigation({
+    tabId: tab.id,
+    frameId: 0,
+    url: "https://b.com/",
+    transitionType: "typed",
+  });
+
+  const restarted = await restartWorker();
+  await restarted.recoverSession();
+  chrome.tabs.update(tab.id, { url: "https://b.com/" });
+  await restarted.handleTabChange(tab.id);
+
+  const session = restarted.getCurrentSession();
+  assert.equal(session.previousSessionId, first);
+  assert.equal(session.navigation.transition, "typed");
+});
+
+test("nothing is recovered without a checkpoint", async () => {
+  const restarted = await restartWorker();
+  assert.equal(await restarted.recoverSession(), null);
+});
@@ -0,0 +1,617 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { createRequire } from "node:module";
+import { installFakeChrome, setOnline } from "./fakeChrome.mjs";
+
+const chrome = installFakeChrome();
+const sync = await import("../syncManager.js");
+const { addEntry, getEntries } = await import("../bufferManager.js");
+const { generateEntryId } = await import("../utils.js");
+const encryption = await import("../encryption.js");
+const deadLetterQueue = await import("../deadLetterQueue.js");
+const { decryptLog } = createRequire(import.meta.url)("../test-server.js");
+
+const PORT = 30000 + Math.floor(Math.random() * 10000);
+const API_URL = `http://localhost:${PORT}`;
+let server;
+
+/**
+ * Start test-server.js on a free port and wait until it listens
+ */
+before(async () => {
+  server = spawn(
+    process.execPath,
+    [fileURLToPath(new URL("../test-server.js", import.meta.url))],
+    {
+      env: { ...process.env, PORT: String(PORT) },
+      stdio: ["ignore", "pipe", "inherit"],
+    },
+  );
+
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("TEST SERVER RUNNING")) resolve();
+    });
+    server.on("exit", (code) =>
+      reject(new Error(`test-server exited (${code})`)),
+    );
+  });
+});
+
+after(() => {
+  server.kill();
+});
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+  await chrome.alarms.clearAll();
+  await chrome.storage.local.set({ apiKey: "test-key", apiUrl: API_URL });
+  await setFault({ mode: "normal", rate: 1 });
+  await fetch(`${API_URL}/api/logs`, { method: "DELETE" });
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+/**
+ * Switch the test server's fault injection mode
+ */
+async function setFault(settings) {
+  await fetch(`${API_URL}/api/_mock/fault`, {
+    method: "POST",
+    body: JSON.stringify(settings),
+  });
+}
+
+/**
+ * Logs the test server has stored
+ * @param {string} [query] - Query string for GET /api/logs
+ */
+async function serverLogs(query = "") {
+  const response = await fetch(`${API_URL}/api/logs${query}`);
+  return (await response.json()).logs;
+}
+
+/**
+ * Buffer a valid log entry
+ */
+async function bufferLog(props = {}) {
+  const now = Date.now();
+  await addEntry({
+    id: generateEntryId(),
+    url: "https://example.com/",
+    domain: "example.com",
+    title: "Example",
+    description: "",
+    startTime: now - 10000,
+    endTime: now,
+    duration: 10,
+    timestamp: new Date(now).toISOString(),
+    ...props,
+  });
+}
+
+test("delivers buffered logs and empties the buffer", async () => {
+  await bufferLog({ url: "https://a.com/" });
+  await bufferLog({ url: "https://b.com/" });
+  const ids = (await getEntries()).map((entry) => entry.id);
+
+  await sync.syncLogs("test");
+
+  const stored = await serverLogs();
+  assert.equal((await getEntries()).length, 0);
+  assert.deepEqual(
+    stored.map((log) => log.url),
+    ["https://a.com/", "https://b.com/"],
+  );
+  assert.deepEqual(
+    stored.map((log) => log.idempotencyKey),
+    ids,
+  );
+});
+
+test("entries buffered before sequence numbers existed are all delivered", async () => {
+  // Left by the old shared seq of 0: one legacy entry was accepted, so the
+  // cursor sat at 0 and hid the others
+  const now = Date.now();
+  const legacy = ["https://a.com/", "https://b.com/"].map((url) => ({
+    id: generateEntryId(),
+    url,
+    domain: new URL(url).hostname,
+    title: "Legacy",
+    duration: 10,
+    timestamp: new Date(now).toISOString(),
+  }));
+  await chrome.storage.local.set({
+    logs: legacy,
+    deliveryCursors: { primary: 0 },
+  });
+  await bufferLog({ url: "https://c.com/" });
+
+  await sync.syncLogs("test");
+
+  assert.deepEqual(
+    (await serverLogs()).map((log) => log.url),
+    ["https://a.com/", "https://b.com/", "https://c.com/"],
+  );
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("chunks carry their session ID so the server can reassemble a visit", async () => {
+  const sessionId = generateEntryId();
+  await bufferLog({ sessionId, chunkIndex: 0, isFinalChunk: false });
+  await bufferLog({ url: "https://b.com/" });
+  await bufferLog({ sessionId, chunkIndex: 1, isFinalChunk: true });
+
+  await sync.syncLogs("test");
+
+  const chunks = await serverLogs(`?sessionId=${sessionId}`);
+  assert.deepEqual(
+    chunks.map((log) => [log.chunkIndex, log.isFinalChunk]),
+    [
+      [0, false],
+      [1, true],
+    ],
+  );
+
+  // Entries buffered before session IDs existed are single-chunk visits
+  const legacy = (await serverLogs()).find(
+    (log) => log.url === "https://b.com/",
+  );
+  assert.equal(legacy.sessionId, legacy.idempotencyKey);
+  assert.equal(legacy.chunkIndex, 0);
+  assert.equal(legacy.isFinalChunk, true);
+});
+
+test("each visit carries how it was reached and the one before it", async () => {
+  const previousSessionId = generateEntryId();
+  const navigation = {
+    transition: "new_tab",
+    redirected: false,
+    openerSessionId: previousSessionId,
+  };
+  const transitions = ["reload", "back_forward"];
+  await bufferLog({ previousSessionId, navigation, transitions });
+  await bufferLog({ url: "https://b.com/" });
+
+  await sync.syncLogs("test");
+
+  const [linked, legacy] = await serverLogs();
+  assert.equal(linked.previousSessionId, previousSessionId);
+  assert.deepEqual(linked.navigation, navigation);
+  assert.deepEqual(linked.transitions, transitions);
+  assert.equal(legacy.previousSessionId, null);
+  assert.equal(legacy.navigation, null);
+  assert.equal(legacy.transitions, undefined);
+});
+
+test("page metadata is uploaded, and encrypted where it identifies the page", async (t) => {
+  const metadata = {
+    canonicalUrl: "https://a.com/article",
+    ogType: "article",
+    author: "A. Writer",
+    publishedAt: "2026-01-01T09:00:00.000Z",
+    keywords: "echo, logging",
+  };
+  await bufferLog({ url: "https://a.com/article?ref=x", ...metadata });
+  await bufferLog({ url: "https://b.com/" });
+
+  await encryption.enableEncryption("correct horse battery");
+  t.after(() => encryption.disableEncryption());
+  await sync.syncLogs("test");
+
+  const [withMetadata, without] = await serverLogs();
+  assert.equal(withMetadata.ogType, "article");
+  assert.match(withMetadata.author, /^enc:v1:/);
+  assert.match(withMetadata.canonicalUrl, /^enc:v1:/);
+  assert.equal(without.canonicalUrl, undefined);
+  assert.ok(!without.encryption.fields.includes("canonicalUrl"));
+
+  const plain = await decryptLog(withMetadata, "correct horse battery");
+  assert.deepEqual(
+    Object.fromEntries(Object.keys(metadata).map((key) => [key, plain[key]])),
+    metadata,
+  );
+});
+
+test("session notes and tags are encrypted", async (t) => {
+  await bufferLog({ note: "planning the release", tags: ["work", "release"] });
+  await bufferLog({ url: "https://b.com/" });
+
+  await encryption.enableEncryption("correct horse battery");
+  t.after(() => encryption.disableEncryption());
+  await sync.syncLogs("test");
+
+  const [annotated, plain] = await serverLogs();
+  const decrypted = await decryptLog(annotated, "correct horse battery");
+  assert.match(annotated.note, /^enc:v1:/);
+  assert.equal(annotated.tags.length, 2);
+  assert.ok(annotated.tags.every((tag) => tag.startsWith("enc:v1:")));
+  assert.equal(decrypted.note, "planning the release");
+  assert.deepEqual(decrypted.tags, ["work", "release"]);
+  assert.equal(plain.note, undefined);
+  assert.equal(plain.tags, undefined);
+});
+
+test("the encryption key is never kept in extension storage", async (t) => {
+  await bufferLog({ title: "Secret" });
+
+  await encryption.enableEncryption("correct horse battery");
+  t.after(() => encryption.disableEncryption());
+  const { encryption: settings } = await chrome.storage.local.get("encryption");
+  await sync.syncLogs("test");
+
+  const [log] = await serverLogs();
+  assert.equal(settings.key, undefined);
+  assert.equal(log.encryption.keyId, settings.keyId);
+  assert.equal(
+    (await decryptLog(log, "correct horse battery")).title,
+    "Secret",
+  );
+});
+
+test("a key exported by older versions is moved out of extension storage", async (t) => {
+  const raw = crypto.getRandomValues(new Uint8Array(32));
+  const legacyKey = await crypto.subtle.importKey("raw", raw, "AES-GCM", true, [
+    "encrypt",
+    "decrypt",
+  ]);
+  const jwk = await crypto.subtle.exportKey("jwk", legacyKey);
+  await chrome.storage.local.set({
+    encryption: {
+      enabled: true,
+      keyId: "legacy01",
+      salt: "c2FsdA==",
+      iterations: 1,
+      key: { ...jwk, key_ops: ["encrypt"] },
+    },
+  });
+  t.after(() => encryption.disableEncryption());
+  await bufferLog({ title: "Secret" });
+
+  await sync.syncLogs("test");
+
+  const [log] = await serverLogs();
+  const { encryption: settings } = await chrome.storage.local.get("encryption");
+  const [ivB64, ctB64] = log.title.slice("enc:v1:".length).split(":");
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: Buffer.from(ivB64, "base64") },
+    legacyKey,
+    Buffer.from(ctB64, "base64"),
+  );
+  assert.equal(settings.key, undefined);
+  assert.equal(log.encryption.keyId, "legacy01");
+  assert.equal(new TextDecoder().decode(plaintext), "Secret");
+});
+
+test("highlights are delivered alongside visits", async () => {
+  const sessionId = generateEntryId();
+  await bufferLog({ sessionId });
+  await addEntry({
+    id: generateEntryId(),
+    type: "highlight",
+    sessionId,
+    url: "https://example.com/",
+    domain: "example.com",
+    title: "Example",
+    text: "a highlighted passage",
+    contextBefore: "before",
+    contextAfter: "after",
+    timestamp: new Date().toISOString(),
+  });
+
+  await sync.syncLogs("test");
+
+  const [visit, highlight] = await serverLogs(`?sessionId=${sessionId}`);
+  assert.equal((await getEntries()).length, 0);
+  assert.equal(visit.type, undefined);
+  assert.equal(highlight.type, "highlight");
+  assert.equal(highlight.text, "a highlighted passage");
+  assert.equal(highlight.duration, undefined);
+});
+
+test("webhooks only get encrypted fields when encryption is on", async (t) => {
+  await chrome.storage.local.set({
+    destinationSettings: {
+      primaryEnabled: false,
+      destinations: [
+        {
+          id: "hook",
+          type: "webhook",
+          name: "Hook",
+          url: "https://hook.test/",
+          template: JSON.stringify({
+            text: "{{title}} on {{domain}}",
+            domain: "{{domain}}",
+          }),
+        },
+      ],
+    },
+  });
+  const bodies = [];
+  mock.method(globalThis, "fetch", async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response("{}", { status: 200 });
+  });
+  t.after(() => globalThis.fetch.mock.restore());
+  await bufferLog({
+    url: "https://secret.com/",
+    domain: "secret.com",
+    title: "Secret",
+  });
+
+  await encryption.enableEncryption("correct horse battery");
+  t.after(() => encryption.disableEncryption());
+  await sync.syncLogs("test");
+
+  const [body] = bodies;
+  assert.match(body.domain, /^enc:v1:/);
+  assert.ok(!body.text.includes("Secret"));
+  assert.ok(!body.text.includes("secret.com"));
+  assert.equal((await getEntries()).length, 0);
+});
+
+test("force sync still delivers to webhooks while the API needs a new key", async (t) => {
+  await chrome.storage.local.set({
+    authRequired: { status: 401 },
+    destinationSettings: {
+      primaryEnabled: true,
+      destinations: [
+        {
+          id: "hook",
+          type: "webhook",
+          name: "Hook",
+          url: "https://hook.test/",
+        },
+      ],
+    },
+  });
+  const urls = [];
+  mock.method(globalThis, "fetch", async (url) => {
+    urls.push(url);
+    return new Response("{}", { status: 200 });
+  });
+  t.after(() => globalThis.fetch.mock.restore());
+  await bufferLog();
+
+  const result = await sync.forceSync();
+
+  assert.deepEqual(result, { authRequired: true });
+  assert.deepEqual(urls, ["https://hook.test/"]);
+  assert.equal((await getEntries()).length, 1);
+});
+
+test("the old single retry state is moved to the primary destination", async () => {
+  const nextRetryAt = Date.now() + 60000;
+  await chrome.storage.local.set({
+    syncRetryState: { attempt: 2, nextRetryAt, lastError: "HTTP 500" },
+  });
+  chrome.alarms.create("syncRetry", { when: nextRetryAt });
+
+  const status = await sync.getSyncStatus();
+
+  assert.equal(status.syncRetryCount, 2);
+  assert.equal(status.lastError, "HTTP 500");
+  assert.deepEqual(
+    (await chrome.storage.local.get("syncRetryState")).syncRetryState,
+    { primary: { attempt: 2, nextRetryAt, lastError: "HTTP 500" } },
+  );
+  assert.equal(await chrome.alarms.get("syncRetry"), undefined);
+  assert.ok(await chrome.alarms.get("syncRetry:primary"));
+});
+
+test("bodies are compressed by their size in bytes, not characters", async (t) => {
+  const realFetch = globalThis.fetch;
+  const encodings = [];
+  mock.method(globalThis, "fetch", (url, init) => {
+    if (String(url).endsWith("/api/log")) {
+      encodings.push(init.headers["Content-Encoding"] || "identity");
+    }
+    return realFetch(url, init);
+  });
+  t.after(() => globalThis.fetch.mock.restore());
+  // Under 1024 characters, but well over 1024 bytes as UTF-8
+  await bufferLog({ title: "€".repeat(250) });
+
+  await sync.syncLogs("test");
+
+  const [log] = await serverLogs();
+  assert.deepEqual(encodings, ["gzip"]);
+  assert.equal(log.title, "€".repeat(250));
+});
+
+test("a server that rejects gzip gets plain JSON, even after a worker restart", async (t) => {
+  const realFetch = globalThis.fetch;
+  const encodings = [];
+  mock.method(globalThis, "fetch", (url, init) => {
+    if (String(url).endsWith("/api/log")) {
+      encodings.push(init.headers["Content-Encoding"] || "identity");
+    }
+    return realFetch(url, init);
+  });
+  t.after(() => globalThis.fetch.mock.restore());
+  t.after(() => chrome.storage.session.clear());
+  await setFault({ mode: "nogzip" });
+  await bufferLog({ title: "x".repeat(2000) });
+  await sync.syncLogs("test");
+
+  const restarted = await import("../syncManager.js?restart=gzip");
+  await bufferLog({ title: "y".repeat(2000) });
+  await restarted.syncLogs("test");
+
+  assert.deepEqual(encodings, ["gzip", "identity", "identity"]);
+  assert.equal((await serverLogs()).length, 2);
+});
+
+test("server errors keep the buffer and schedule a backoff retry", async () => {
+  await bufferLog();
+  await setFault({ mode: "error" });
+
+  await sync.syncLogs("test");
+
+  const status = await sync.getSyncStatus();
+  const alarm = await chrome.alarms.get("syncRetry:primary");
+  assert.equal((await getEntries()).length, 1);
+  assert.equal(status.syncRetryCount, 1);
+  assert.equal(status.lastError, "HTTP 500");
+  assert.ok(alarm);
+  assert.ok(alarm.scheduledTime - Date.now() >= 54000);
+});
+
+test("syncs are skipped until the retry is due, then the retry delivers", async () => {
+  await bufferLog();
+  await setFault({ mode: "error" });
+  await sync.syncLogs("test");
+  await setFault({ mode: "normal" });
+
+  // Not due yet - nothing is sent
+  await sync.syncLogs("test");
+  assert.equal((await serverLogs()).length, 0);
+
+  mock.timers.tick(6 * 60000);
+  await sync.handleRetryAlarm();
+
+  assert.equal((await serverLogs()).length, 1);
+  assert.equal((await getEntries()).length, 0);
+  assert.equal((await sync.getSyncStatus()).syncRetryCount, 0);
+  assert.equal(await chrome.alarms.get("syncRetry:primary"), undefined);
+});
+
+test("repeated failures back off exponentially", async () => {
+  await bufferLog();
+  await setFault({ mode: "error" });
+
+  await sync.syncLogs("test");
+  mock.timers.tick(6 * 60000);
+  await sync.handleRetryAlarm();
+
+  const { syncRetryCount, nextRetryAt } = await sync.getSyncStatus();
+  assert.equal(syncRetryCount, 2);
+  assert.ok(nextRetryAt - Date.now() >= 108000);
+});
+
+test("429 responses wait for Retry-After", async () => {
+  await bufferLog();
+  await setFault({ mode: "throttle" });
+
+  await sync.syncLogs("test");
+
+  const { nextRetryAt } = await sync.getSyncStatus();
+  assert.equal((await getEntries()).length, 1);
+  assert.equal(nextRetryAt - Date.now(), 30000);
+});
+
+test("dropped connections are retried", async () => {
+  await bufferLog();
+  await setFault({ mode: "drop" });
+
+  await sync.syncLogs("test");
+
+  const status = await sync.getSyncStatus();
+  assert.equal((await getEntries()).length, 1);
+  assert.equal(status.syncRetryCount, 1);
+  assert.ok(status.lastError);
+});
+
+test("401 pauses sync until the API key is fixed", async () => {
+  await bufferLog();
+  await setFault({ mode: "unauthorized" });
+
+  await sync.syncLogs("test");
+
+  assert.equal(await sync.isAuthRequired(), true);
+  assert.equal((await getEntries()).length, 1);
+  assert.equal(chrome.action.badge.text, "!");
+  assert.deepEqual(await sync.forceSync(), { authRequired: true });
+  assert.equal((await serverLogs()).length, 0);
+
+  await setFault({ mode: "normal" });
+  await sync.resumeAfterAuth();
+
+  assert.equal(await sync.isAuthRequired(), false);
+  assert.equal((await serverLogs()).length, 1);
+});
+
+test("rejected logs move to the dead letter queue", async () => {
+  await bufferLog({ url: "https://good.com/" });
+  await bufferLog({ url: "" });
+
+  await sync.syncLogs("test");
+
+  const { deadLetters } = await chrome.storage.local.get("deadLetters");
+  assert.equal((await getEntries()).length, 0);
+  assert.equal((await serverLogs()).length, 1);
+  assert.equal(deadLetters.length, 1);
+  assert.equal(deadLetters[0].status, 400);
+  assert.equal(deadLetters[0].destinationId, "primary");
+  assert.match(deadLetters[0].responseBody, /url/);
+});
+
+test("edited dead letters without an entry ID stay distinct", async () => {
+  await deadLetterQueue.addDeadLetters(
+    ["https://a.com/", "https://b.com/"].map((url) => ({
+      entry: { url, title: "No ID" },
+      status: 400,
+      destinationId: "primary",
+    })),
+  );
+  const letters = await deadLetterQueue.getDeadLetters();
+
+  for (const letter of letters) {
+    await deadLetterQueue.updateDeadLetter(letter.id, {
+      ...letter.entry,
+      title: "Fixed",
+    });
+  }
+
+  const updated = await deadLetterQueue.getDeadLetters();
+  assert.deepEqual(
+    updated.map((letter) => letter.entry.id),
+    letters.map((letter) => letter.id),
+  );
+});
+
+test("nothing is sent while offline", async () => {
+  await bufferLog();
+  setOnline(false);
+
+  await sync.syncLogs("test");
+  setOnline(true);
+
+  assert.equal((await getEntries()).length, 1);
+  assert.equal((await serverLogs()).length, 0);
+});
+
+test("nothing is sent in local-only mode", async () => {
+  await bufferLog();
+  await chrome.storage.local.set({ destinationSettings: { localOnly: true } });
+
+  await sync.syncLogs("test");
+
+  assert.equal((await getEntries()).length, 1);
+  assert.equal((await serverLogs()).length, 0);
+});
+
+test("the test server answers unreadable requests with 400", async () => {
+  const post = (path, body, headers = {}) =>
+    fetch(`${API_URL}${path}`, { method: "POST", body, headers });
+
+  const responses = [
+    await post("/api/_mock/fault", "{oops"),
+    await post("/api/_mock/fault", JSON.stringify({ rate: "half" })),
+    await post("/api/_mock/fault", JSON.stringify({ mood: "error" })),
+    await post("/api/health", "{oops"),
+    await post("/api/log", "not gzip", { "Content-Encoding": "gzip" }),
+  ];
+
+  assert.deepEqual(
+    responses.map((response) => response.status),
+    [400, 400, 400, 400, 400],
+  );
+  const fault = await (await fetch(`${API_URL}/api/_mock/fault`)).json();
+  assert.deepEqual(fault, { mode: "normal", rate: 1, latencyMs: 5000 });
+});
@@ -0,0 +1,136 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeChrome } from "./fakeChrome.mjs";
+
+const chrome = installFakeChrome();
+const rules = await import("../urlRules.js");
+
+describe("canonicalizeUrl", () => {
+  test("drops tracking params and sorts the rest", () => {
+    assert.equal(
+      rules.canonicalizeUrl("https://a.com/post?b=2&utm_source=x&a=1&fbclid=y"),
+      "https://a.com/post?a=1&b=2",
+    );
+  });
+
+  test("ignores anchors but keeps hash routes by default", () => {
+    assert.equal(
+      rules.canonicalizeUrl("https://a.com/doc#section-2"),
+      "https://a.com/doc",
+    );
+    assert.equal(
+      rules.canonicalizeUrl("https://mail.a.com/#/inbox"),
+      "https://mail.a.com/#/inbox",
+    );
+  });
+
+  test("strips trailing slashes", () => {
+    assert.equal(
+      rules.canonicalizeUrl("https://a.com/docs/"),
+      rules.canonicalizeUrl("https://a.com/docs"),
+    );
+    assert.equal(rules.canonicalizeUrl("https://a.com/"), "https://a.com/");
+  });
+
+  test("keeps only a site's significant params", () => {
+    assert.equal(
+      rules.canonicalizeUrl("https://www.youtube.com/watch?t=42&v=abc&list=L"),
+      "https://www.youtube.com/watch?v=abc",
+    );
+    assert.equal(
+      rules.canonicalizeUrl("https://www.google.co.uk/search?q=echo&start=10"),
+      "https://www.google.co.uk/search?q=echo",
+    );
+  });
+
+  test("applies path rewrites", () => {
+    assert.equal(
+      rules.canonicalizeUrl(
+        "https://stackoverflow.com/questions/123/some-slug?answertab=votes#a1",
+      ),
+      "https://stackoverflow.com/questions/123",
+    );
+  });
+
+  test("path prefixes match whole segments", () => {
+    const custom = [{ match: "a.com/watch", params: [] }];
+    assert.equal(
+      rules.canonicalizeUrl("https://a.com/watch/1?x=1", custom),
+      "https://a.com/watch/1",
+    );
+    assert.equal(
+      rules.canonicalizeUrl("https://a.com/watchlist?x=1", custom),
+      "https://a.com/watchlist?x=1",
+    );
+  });
+
+  test("leaves non-web and unparseable URLs alone", () => {
+    assert.equal(rules.canonicalizeUrl("not a url"), "not a url");
+    assert.equal(
+      rules.canonicalizeUrl("chrome://settings/?search=x"),
+      "chrome://settings/?search=x",
+    );
+  });
+});
+
+describe("isSameVisit", () => {
+  test("matches URLs with the same canonical form", () => {
+    assert.ok(
+      rules.isSameVisit(
+        "https://en.wikipedia.org/wiki/Echo#History",
+        "https://en.wikipedia.org/wiki/Echo#Etymology",
+      ),
+    );
+    assert.ok(
+      !rules.isSameVisit(
+        "https://en.wikipedia.org/wiki/Echo",
+        "https://en.wikipedia.org/wiki/Narcissus",
+      ),
+    );
+  });
+
+  test("never matches a missing URL", () => {
+    assert.ok(!rules.isSameVisit("", ""));
+  });
+});
+
+describe("custom rules", () => {
+  test("saved rules replace the defaults", async () => {
+    const result = await rules.saveUrlRules([
+      { match: "*", params: "*", fragment: true },
+    ]);
+    assert.deepEqual(result, { success: true });
+    assert.equal(rules.getUrlRules().isDefault, false);
+    assert.ok(
+      !rules.isSameVisit("https://a.com/doc#one", "https://a.com/doc#two"),
+    );
+
+    await rules.saveUrlRules(null);
+    assert.equal(rules.getUrlRules().isDefault, true);
+    assert.equal(chrome.storage.local.data.customUrlRules, undefined);
+  });
+
+  test("are picked up from storage on load", async () => {
+    await chrome.storage.local.set({
+      customUrlRules: [{ match: "a.com", params: [] }],
+    });
+    await rules.loadUrlRules();
+
+    assert.ok(rules.isSameVisit("https://a.com/?p=1", "https://a.com/?p=2"));
+    await rules.saveUrlRules(null);
+  });
+
+  test("invalid rules are rejected with a reason", async () => {
+    const result = await rules.saveUrlRules([
+      { params: ["v"] },
+      { match: "a.com", fragment: "sometimes" },
+      { match: "b.com", pathRewrites: [["(", ""]] },
+    ]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors.length, 3);
+    assert.match(result.errors[0], /^Rule 1: "match"/);
+    assert.equal(rules.getUrlRules().isDefault, true);
+    assert.deepEqual(rules.validateUrlRules({}), ["Rules must be a list"]);
+  });
+});
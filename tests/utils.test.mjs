@@ -0,0 +1,146 @@
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { installFakeChrome } from "./fakeChrome.mjs";
+
+const chrome = installFakeChrome();
+const utils = await import("../utils.js");
+const { STORAGE_QUOTA_MB } = await import("../config.js");
+
+describe("redactSensitiveUrl", () => {
+  before(async () => {
+    await chrome.storage.local.set({ customSensitiveParams: ["employee"] });
+    await utils.loadCustomSettings();
+  });
+
+  test("redacts default sensitive params", () => {
+    const url = utils.redactSensitiveUrl(
+      "https://example.com/cb?code=abc&state=1&access_token=xyz",
+    );
+    const params = new URL(url).searchParams;
+    assert.equal(params.get("code"), "REDACTED");
+    assert.equal(params.get("access_token"), "REDACTED");
+    assert.equal(params.get("state"), "1");
+  });
+
+  test("matches params case-insensitively and by substring", () => {
+    const url = utils.redactSensitiveUrl(
+      "https://example.com/?X-Api-Key=1&q=ok",
+    );
+    const params = new URL(url).searchParams;
+    assert.equal(params.get("X-Api-Key"), "REDACTED");
+    assert.equal(params.get("q"), "ok");
+  });
+
+  test("redacts custom params", () => {
+    const url = utils.redactSensitiveUrl("https://example.com/?employee=42");
+    assert.equal(new URL(url).searchParams.get("employee"), "REDACTED");
+  });
+
+  test("returns unparseable URLs unchanged", () => {
+    assert.equal(utils.redactSensitiveUrl("not a url"), "not a url");
+  });
+});
+
+describe("URL helpers", () => {
+  test("isSystemUrl", () => {
+    assert.equal(utils.isSystemUrl("chrome://settings"), true);
+    assert.equal(utils.isSystemUrl("chrome-extension://abc/popup.html"), true);
+    assert.equal(utils.isSystemUrl(""), true);
+    assert.equal(utils.isSystemUrl("https://example.com"), false);
+  });
+
+  test("isBlacklistedDomain matches subdomains of blocked domains", async () => {
+    await chrome.storage.local.set({ customBlockedDomains: ["bank.com"] });
+    await utils.loadCustomSettings();
+
+    assert.equal(utils.isBlacklistedDomain("bank.com"), true);
+    assert.equal(utils.isBlacklistedDomain("www.bank.com"), true);
+    assert.equal(utils.isBlacklistedDomain("notbank.com"), false);
+  });
+
+  test("isContentCaptureDomain needs an opt-in and loses to the blocklist", async () => {
+    await chrome.storage.local.set({
+      customBlockedDomains: ["bank.com"],
+      customContentCaptureDomains: ["docs.com", "bank.com"],
+    });
+    await utils.loadCustomSettings();
+
+    assert.equal(utils.isContentCaptureDomain("api.docs.com"), true);
+    assert.equal(utils.isContentCaptureDomain("bank.com"), false);
+    assert.equal(utils.isContentCaptureDomain("other.com"), false);
+  });
+
+  test("redactUrlsInText redacts URLs inside text", () => {
+    assert.equal(
+      utils.redactUrlsInText("Go to (https://a.com/?token=1) or b.com"),
+      "Go to (https://a.com/?token=REDACTED) or b.com",
+    );
+  });
+
+  test("normalizeApiUrl", () => {
+    assert.equal(
+      utils.normalizeApiUrl(" https://api.example.com/echo/ "),
+      "https://api.example.com/echo",
+    );
+    assert.equal(utils.normalizeApiUrl("ftp://example.com"), null);
+    assert.equal(utils.normalizeApiUrl("https://example.com/?a=1"), null);
+    assert.equal(utils.normalizeApiUrl("nope"), null);
+  });
+
+  test("sanitizeText strips tags, collapses whitespace and truncates", () => {
+    assert.equal(utils.sanitizeText("<b>Hello</b>\n  world"), "Hello world");
+    assert.equal(utils.sanitizeText("abcdef", 3), "abc...");
+    assert.equal(utils.sanitizeText(null), "");
+  });
+});
+
+describe("calculateBackoff", () => {
+  test("doubles per attempt within ±10% jitter and caps at the max", () => {
+    for (const [attempt, expected] of [
+      [0, 60000],
+      [1, 120000],
+      [2, 240000],
+      [5, 300000],
+    ]) {
+      const delay = utils.calculateBackoff(attempt);
+      assert.ok(
+        delay >= expected * 0.9 && delay <= expected * 1.1,
+        `${attempt}: ${delay}`,
+      );
+    }
+  });
+});
+
+describe("checkAndPurgeStorage", () => {
+  test("leaves a small buffer alone", async () => {
+    await chrome.storage.local.set({ logs: [{ url: "https://a.com" }] });
+    const result = await utils.checkAndPurgeStorage();
+    assert.equal(result.purged, false);
+  });
+
+  test("drops the oldest 10% of logs once over quota", async () => {
+    const filler = "x".repeat(100 * 1024);
+    const count = Math.ceil((STORAGE_QUOTA_MB * 1024) / 100) + 10;
+    const logs = Array.from({ length: count }, (_, i) => ({ i, filler }));
+    await chrome.storage.local.set({ logs });
+
+    const result = await utils.checkAndPurgeStorage();
+    const { logs: remaining } = await chrome.storage.local.get("logs");
+
+    assert.equal(result.purged, true);
+    assert.equal(remaining.length, count - Math.ceil(count * 0.1));
+    assert.equal(remaining[0].i, Math.ceil(count * 0.1));
+  });
+});
+
+describe("badge", () => {
+  test("shows the buffer count, or ! while auth is required", async () => {
+    await chrome.storage.local.set({ logs: [{}, {}] });
+    await utils.refreshBadge();
+    assert.equal(chrome.action.badge.text, "2");
+
+    await chrome.storage.local.set({ authRequired: { status: 401 } });
+    await utils.refreshBadge();
+    assert.equal(chrome.action.badge.text, "!");
+  });
+});
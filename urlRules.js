@@ -0,0 +1,275 @@
+// ============================================
+// URL RULES - Canonical URLs for Session Matching
+// ============================================
+// Two URLs belong to the same visit when their canonical forms match.
+// A rule applies to a domain (subdomains included) or a domain plus path
+// prefix, e.g. "youtube.com/watch"; "*" is a wildcard ("google.*/search")
+// and a match of just "*" applies everywhere. First matching rule wins:
+//
+//   {
+//     match: "youtube.com/watch",
+//     params: ["v"],        // significant query params, or "*" for all but
+//                           // IGNORED_URL_PARAMS (the default)
+//     fragment: false,      // true, false, or "routes" (the default): only
+//                           // hash routes like #/inbox or #!/inbox count
+//     pathRewrites: [["^(/questions/\\d+)/.*$", "$1"]], // regex, replacement
+//     stripTrailingSlash: true, // default
+//   }
+
+import { DEFAULT_URL_RULES, IGNORED_URL_PARAMS } from "./config.js";
+import logger from "./logger.js";
+
+const STORAGE_KEY = "customUrlRules";
+
+// Used when no rule matches
+const FALLBACK_RULE = { match: "*" };
+
+const FRAGMENT_MODES = [true, false, "routes"];
+
+// User rules replace the defaults entirely (null = use DEFAULT_URL_RULES)
+let cachedUrlRules = null;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Load the user's rules from storage into cache
+ * Should be called on startup and when settings change
+ */
+export async function loadUrlRules() {
+  try {
+    const data = await chrome.storage.local.get(STORAGE_KEY);
+    cachedUrlRules = data[STORAGE_KEY] || null;
+  } catch (e) {
+    logger.error("Failed to load URL rules", { error: e.message });
+  }
+}
+
+/**
+ * Get the rules in effect
+ * @returns {{rules: Object[], isDefault: boolean}}
+ */
+export function getUrlRules() {
+  return {
+    rules: cachedUrlRules || DEFAULT_URL_RULES,
+    isDefault: !cachedUrlRules,
+  };
+}
+
+/**
+ * Validate and save the user's rules
+ * @param {Object[]|null} rules - New rules, or null to restore the defaults
+ * @returns {Promise<{success: boolean, errors?: string[]}>}
+ */
+export async function saveUrlRules(rules) {
+  if (rules == null) {
+    await chrome.storage.local.remove(STORAGE_KEY);
+    cachedUrlRules = null;
+    logger.info("URL rules reset to defaults");
+    return { success: true };
+  }
+
+  const errors = validateUrlRules(rules);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: rules });
+  cachedUrlRules = rules;
+  logger.info("URL rules saved", { count: rules.length });
+  return { success: true };
+}
+
+/**
+ * Check a rule list against the format described at the top of this file
+ * @param {*} rules - Parsed rules
+ * @returns {string[]} Problems found, empty if valid
+ */
+export function validateUrlRules(rules) {
+  if (!Array.isArray(rules)) return ["Rules must be a list"];
+
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const label = `Rule ${i + 1}`;
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof rule.match !== "string" || !rule.match.trim()) {
+      errors.push(`${label}: "match" must be a domain or domain/path`);
+    }
+    if (
+      rule.params !== undefined &&
+      rule.params !== "*" &&
+      !(
+        Array.isArray(rule.params) &&
+        rule.params.every((param) => typeof param === "string")
+      )
+    ) {
+      errors.push(`${label}: "params" must be "*" or a list of names`);
+    }
+    if (
+      rule.fragment !== undefined &&
+      !FRAGMENT_MODES.includes(rule.fragment)
+    ) {
+      errors.push(`${label}: "fragment" must be true, false or "routes"`);
+    }
+    if (
+      rule.stripTrailingSlash !== undefined &&
+      typeof rule.stripTrailingSlash !== "boolean"
+    ) {
+      errors.push(`${label}: "stripTrailingSlash" must be true or false`);
+    }
+    if (rule.pathRewrites !== undefined) {
+      const valid =
+        Array.isArray(rule.pathRewrites) &&
+        rule.pathRewrites.every(
+          (rewrite) =>
+            Array.isArray(rewrite) &&
+            rewrite.length === 2 &&
+            rewrite.every((part) => typeof part === "string") &&
+            isValidRegex(rewrite[0]),
+        );
+      if (!valid) {
+        errors.push(
+          `${label}: "pathRewrites" must be a list of [regex, replacement]`,
+        );
+      }
+    }
+  });
+
+  return errors;
+}
+
+// ============================================
+// MATCHING & CANONICALIZATION
+// ============================================
+
+/**
+ * Turn a "*" wildcard pattern into a regex source (no anchors)
+ * @param {string} pattern
+ * @returns {string}
+ */
+function wildcardToRegex(pattern) {
+  return pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+}
+
+/**
+ * @param {string} source - Regex source
+ * @returns {boolean}
+ */
+function isValidRegex(source) {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a rule applies to a URL
+ * @param {Object} rule - URL rule
+ * @param {URL} urlObj - Parsed URL
+ * @returns {boolean}
+ */
+function ruleMatches(rule, urlObj) {
+  const match = rule.match.trim().toLowerCase();
+  if (match === "*") return true;
+
+  const slash = match.indexOf("/");
+  const hostPattern = slash === -1 ? match : match.slice(0, slash);
+  const pathPattern = slash === -1 ? "" : match.slice(slash).replace(/\/$/, "");
+
+  // Subdomains match too, like the blocked domains list
+  const hostRegex = new RegExp(`^(?:.+\\.)?${wildcardToRegex(hostPattern)}$`);
+  if (!hostRegex.test(urlObj.hostname)) return false;
+
+  // Path prefixes match whole segments: "/watch" is not "/watchlist"
+  return (
+    !pathPattern ||
+    new RegExp(`^${wildcardToRegex(pathPattern)}(?:/|$)`, "i").test(
+      urlObj.pathname,
+    )
+  );
+}
+
+/**
+ * Find the rule that applies to a URL
+ * @param {string} url - Full URL
+ * @param {Object[]} [rules] - Rules to search (defaults to the rules in effect)
+ * @returns {Object} Matching rule, or the fallback rule
+ */
+export function findUrlRule(url, rules = getUrlRules().rules) {
+  try {
+    const urlObj = new URL(url);
+    return rules.find((rule) => ruleMatches(rule, urlObj)) || FALLBACK_RULE;
+  } catch {
+    return FALLBACK_RULE;
+  }
+}
+
+/**
+ * Reduce a URL to the parts that identify the page, per its rule
+ * Kept params are sorted so their order doesn't matter
+ * @param {string} url - Full URL
+ * @param {Object[]} [rules] - Rules to apply (defaults to the rules in effect)
+ * @returns {string} Canonical URL, or the input if it can't be parsed
+ */
+export function canonicalizeUrl(url, rules = getUrlRules().rules) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return url;
+  }
+  if (!urlObj.protocol.startsWith("http")) return url;
+
+  const rule = findUrlRule(url, rules);
+
+  // Path
+  let path = urlObj.pathname;
+  (rule.pathRewrites || []).forEach(([pattern, replacement]) => {
+    path = path.replace(new RegExp(pattern), replacement);
+  });
+  if (rule.stripTrailingSlash !== false && path.length > 1) {
+    path = path.replace(/\/+$/, "") || "/";
+  }
+
+  // Query
+  const params = rule.params ?? "*";
+  const ignored = IGNORED_URL_PARAMS.map(
+    (name) => new RegExp(`^${wildcardToRegex(name)}$`, "i"),
+  );
+  const kept = [...urlObj.searchParams.entries()]
+    .filter(([key]) =>
+      params === "*"
+        ? !ignored.some((regex) => regex.test(key))
+        : params.includes(key),
+    )
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = kept.length ? `?${new URLSearchParams(kept)}` : "";
+
+  // Fragment
+  const fragment = rule.fragment ?? "routes";
+  const isRoute = /^#!?\//.test(urlObj.hash);
+  const hash =
+    fragment === true || (fragment === "routes" && isRoute) ? urlObj.hash : "";
+
+  return `${urlObj.protocol}//${urlObj.host}${path}${query}${hash}`;
+}
+
+/**
+ * Check whether two URLs are the same page (and so the same visit)
+ * @param {string} a - URL
+ * @param {string} b - URL
+ * @returns {boolean}
+ */
+export function isSameVisit(a, b) {
+  if (!a || !b) return false;
+  return a === b || canonicalizeUrl(a) === canonicalizeUrl(b);
+}
@@ -3,6 +3,10 @@
 // ============================================
 
 import {
+  API_URL,
+  IDLE_THRESHOLD,
+  MIN_DURATION,
+  SYNC_INTERVAL,
   BLACKLISTED_DOMAINS,
   SENSITIVE_PARAMS,
   SYSTEM_URL_PREFIXES,
@@ -19,9 +23,17 @@ import { getEntries } from "./bufferManager.js";
 // Cache for custom settings (loaded from storage)
 let cachedCustomBlockedDomains = [];
 let cachedCustomSensitiveParams = [];
+let cachedContentCaptureDomains = [];
+
+// Cache for server-enforced policy (see remoteConfig.js)
+let cachedRemoteConfig = {
+  blockedDomains: [],
+  sensitiveParams: [],
+  timing: {},
+};
 
 /**
- * Load custom settings from storage into cache
+ * Load custom settings and server policy from storage into cache
  * Should be called on startup and when settings change
  */
 export async function loadCustomSettings() {
@@ -29,14 +41,25 @@ export async function loadCustomSettings() {
     const data = await chrome.storage.local.get([
       "customBlockedDomains",
       "customSensitiveParams",
+      "customContentCaptureDomains",
+      "remoteConfig",
     ]);
 
     cachedCustomBlockedDomains = data.customBlockedDomains || [];
     cachedCustomSensitiveParams = data.customSensitiveParams || [];
+    cachedContentCaptureDomains = data.customContentCaptureDomains || [];
+    cachedRemoteConfig = {
+      blockedDomains: data.remoteConfig?.blockedDomains || [],
+      sensitiveParams: data.remoteConfig?.sensitiveParams || [],
+      timing: data.remoteConfig?.timing || {},
+    };
 
     logger.debug("Custom settings loaded", {
       blockedDomains: cachedCustomBlockedDomains.length,
       sensitiveParams: cachedCustomSensitiveParams.length,
+      contentCaptureDomains: cachedContentCaptureDomains.length,
+      remoteBlockedDomains: cachedRemoteConfig.blockedDomains.length,
+      remoteSensitiveParams: cachedRemoteConfig.sensitiveParams.length,
     });
   } catch (e) {
     logger.error("Failed to load custom settings", { error: e.message });
@@ -44,19 +67,40 @@ export async function loadCustomSettings() {
 }
 
 /**
- * Get combined blocked domains (default + custom)
+ * Get combined blocked domains (default + server + custom)
  * @returns {string[]}
  */
 export function getAllBlockedDomains() {
-  return [...BLACKLISTED_DOMAINS, ...cachedCustomBlockedDomains];
+  return [
+    ...BLACKLISTED_DOMAINS,
+    ...cachedRemoteConfig.blockedDomains,
+    ...cachedCustomBlockedDomains,
+  ];
 }
 
 /**
- * Get combined sensitive params (default + custom)
+ * Get combined sensitive params (default + server + custom)
  * @returns {string[]}
  */
 export function getAllSensitiveParams() {
-  return [...SENSITIVE_PARAMS, ...cachedCustomSensitiveParams];
+  return [
+    ...SENSITIVE_PARAMS,
+    ...cachedRemoteConfig.sensitiveParams,
+    ...cachedCustomSensitiveParams,
+  ];
+}
+
+/**
+ * Get timing settings, with server policy overriding config.js defaults
+ * @returns {{idleThreshold: number, minDuration: number, syncInterval: number}}
+ */
+export function getTimingSettings() {
+  const timing = cachedRemoteConfig.timing;
+  return {
+    idleThreshold: timing.idleThreshold ?? IDLE_THRESHOLD,
+    minDuration: timing.minDuration ?? MIN_DURATION,
+    syncInterval: timing.syncInterval ?? SYNC_INTERVAL,
+  };
 }
 
 // ============================================
@@ -88,6 +132,21 @@ export function isBlacklistedDomain(domain) {
   );
 }
 
+/**
+ * Check if the user opted a domain into main-content capture
+ * Blocked domains never qualify
+ * @param {string} domain - Domain to check
+ * @returns {boolean}
+ */
+export function isContentCaptureDomain(domain) {
+  if (!domain || isBlacklistedDomain(domain)) return false;
+  const lowerDomain = domain.toLowerCase();
+
+  return cachedContentCaptureDomains.some(
+    (allowed) => lowerDomain === allowed || lowerDomain.endsWith("." + allowed),
+  );
+}
+
 /**
  * Redact sensitive URL parameters (tokens, passwords, etc.)
  * Includes both default and custom sensitive params
@@ -129,6 +188,17 @@ export function redactSensitiveUrl(url) {
   }
 }
 
+/**
+ * Redact sensitive params in every URL that appears in a piece of text
+ * @param {string} text - Text to process
+ * @returns {string}
+ */
+export function redactUrlsInText(text) {
+  return text.replace(/https?:\/\/[^\s"'<>)\]]+/g, (url) =>
+    redactSensitiveUrl(url),
+  );
+}
+
 /**
  * Extract domain from URL
  * @param {string} url - Full URL
@@ -165,6 +235,39 @@ export function sanitizeText(text, maxLength = 500) {
   return normalized;
 }
 
+// ============================================
+// API ENDPOINT UTILITIES
+// ============================================
+
+/**
+ * Validate and normalize an API base URL
+ * @param {string} url - URL entered by the user
+ * @returns {string|null} - URL without trailing slash, or null if invalid
+ */
+export function normalizeApiUrl(url) {
+  try {
+    const urlObj = new URL(String(url).trim());
+    if (urlObj.protocol !== "https:" && urlObj.protocol !== "http:") {
+      return null;
+    }
+    if (urlObj.search || urlObj.hash || urlObj.username) {
+      return null;
+    }
+    return urlObj.origin + urlObj.pathname.replace(/\/+$/, "");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the API base URL selected in Settings (falls back to config default)
+ * @returns {Promise<string>}
+ */
+export async function getApiUrl() {
+  const data = await chrome.storage.local.get("apiUrl");
+  return data.apiUrl || API_URL;
+}
+
 // ============================================
 // DEBOUNCE UTILITY
 // ============================================
@@ -242,6 +345,18 @@ export function isOnline() {
   return navigator.onLine;
 }
 
+/**
+ * Gzip a string with the native CompressionStream API
+ * @param {string} text - Text to compress
+ * @returns {Promise<Uint8Array>} - Gzipped bytes
+ */
+export async function gzip(text) {
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
 /**
  * Calculate exponential backoff delay
  * @param {number} attempt - Current attempt number (0-indexed)
@@ -263,8 +378,15 @@ export function calculateBackoff(attempt, baseMs = 60000, maxMs = 300000) {
 /**
  * Update extension badge with log count
  * @param {number} count - Number of logs in buffer
+ * @param {boolean} authRequired - Show a warning badge instead of the count
  */
-export async function updateBadge(count) {
+export async function updateBadge(count, authRequired = false) {
+  if (authRequired) {
+    await chrome.action.setBadgeText({ text: "!" });
+    await chrome.action.setBadgeBackgroundColor({ color: "#F59E0B" });
+    return;
+  }
+
   const text = count > 0 ? (count > 99 ? "99+" : String(count)) : "";
   await chrome.action.setBadgeText({ text });
   await chrome.action.setBadgeBackgroundColor({
@@ -277,13 +399,23 @@ export async function updateBadge(count) {
  */
 export async function refreshBadge() {
   const logs = await getEntries();
-  await updateBadge(logs.length);
+  const data = await chrome.storage.local.get("authRequired");
+  await updateBadge(logs.length, !!data.authRequired);
 }
 
 // ============================================
-// CLIENT ID UTILITIES
+// ID UTILITIES
 // ============================================
 
+/**
+ * Generate a unique ID for a log entry
+ * Used as the idempotency key when the entry is uploaded
+ * @returns {string}
+ */
+export function generateEntryId() {
+  return crypto.randomUUID();
+}
+
 /**
  * Get or create a unique client ID
  * @returns {Promise<string>}